@@ -0,0 +1,89 @@
+const Ticket = require('../models/Ticket');
+const { getPaymentProvider } = require('../services/payments');
+const { expireWaitlistOffers, releaseExpiredHolds } = require('../services/waitlist');
+
+// How often expired seat holds are released (default: every minute)
+const SWEEP_INTERVAL_MS = parseInt(process.env.SEAT_HOLD_SWEEP_MS, 10) || 60 * 1000;
+
+let timer = null;
+
+// Pending tickets whose payment window ended are expired; their seat holds
+// are released below together with every other expired hold
+const expirePendingPayments = async (now, eventId) => {
+  const tickets = await Ticket.find({
+    status: 'pending',
+    'payment.expiresAt': { $lte: now },
+    ...(eventId ? { event: eventId } : {})
+  }).select('payment');
+  let expired = 0;
+
+  for (const ticket of tickets) {
+    // التحديث مشروط بالحالة لتجنب التعارض مع webhook الدفع
+    const result = await Ticket.updateOne(
+      { _id: ticket._id, status: 'pending' },
+      { status: 'cancelled', cancelledAt: now, 'payment.status': 'expired' }
+    );
+    if (result.modifiedCount === 0) continue;
+    expired++;
+
+    // الطلب لم يحصل على دفعة من المزود
+    if (!ticket.payment.intentId) continue;
+
+    try {
+      await getPaymentProvider(ticket.payment.provider).cancelPaymentIntent(ticket.payment.intentId);
+    } catch (error) {
+      console.error('Cancel payment intent error:', error.message);
+    }
+  }
+
+  return expired;
+};
+
+// Expire unpaid tickets and waitlist offers, then release expired seat holds
+// (offering the freed seats to the waitlist first).
+// Besides the interval below (which does not run reliably on serverless hosts),
+// this runs from the scheduled jobs endpoint and, for a single event, before
+// requests that book, hold or join a waitlist. Returns what was processed.
+const sweepExpiredHolds = async ({ eventId } = {}) => {
+  const result = { expiredPayments: 0, expiredOffers: 0, releasedHolds: 0 };
+
+  try {
+    result.expiredPayments = await expirePendingPayments(new Date(), eventId);
+    if (result.expiredPayments > 0) {
+      console.log(`🧹 Expired ${result.expiredPayments} unpaid ticket(s)`);
+    }
+
+    // العروض المنتهية تنتقل للمستخدم التالي قبل تحرير باقي المقاعد
+    result.expiredOffers = await expireWaitlistOffers({ eventId });
+    if (result.expiredOffers > 0) {
+      console.log(`🧹 Expired ${result.expiredOffers} waitlist offer(s)`);
+    }
+
+    result.releasedHolds = await releaseExpiredHolds({ eventId });
+    if (result.releasedHolds > 0) {
+      console.log(`🧹 Released ${result.releasedHolds} expired seat hold(s)`);
+    }
+  } catch (error) {
+    console.error('Seat hold sweeper error:', error.message);
+  }
+
+  return result;
+};
+
+const startSeatHoldSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  if (timer) return timer;
+
+  timer = setInterval(sweepExpiredHolds, intervalMs);
+  // لا نمنع إغلاق العملية بسبب المؤقت
+  timer.unref();
+  return timer;
+};
+
+const stopSeatHoldSweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { startSeatHoldSweeper, stopSeatHoldSweeper, sweepExpiredHolds };
@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/tokens');
 
 const protect = async (req, res, next) => {
   try {
@@ -13,7 +15,7 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, no token' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
     // جلب بيانات المستخدم من قاعدة البيانات
     const user = await User.findById(decoded.id).select('-password');
@@ -21,12 +23,27 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // الرموز الصادرة قبل تغيير كلمة المرور أو "تسجيل الخروج من كل الأجهزة" لم تعد صالحة
+    if (decoded.tv !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    if (!decoded.sid || !(await Session.exists({ _id: decoded.sid, revokedAt: null }))) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
     // إرفاق بيانات المستخدم كاملة للـ req
     req.user = {
       id: user._id,
       role: user.role,
       name: user.name,
-      email: user.email
+      email: user.email,
+      isEmailVerified: user.isEmailVerified !== false,
+      sessionId: decoded.sid
     };
 
     next();
@@ -36,4 +53,64 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// منع الحسابات التي لم تؤكد بريدها الإلكتروني (يستخدم بعد protect)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+// السماح فقط للأدوار المحددة (يستخدم بعد protect)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Not authorized for this action' });
+  }
+  next();
+};
+
+// Event-level permissions:
+//   manage  -> admins, and organizers for events they created
+//   checkin -> everyone with manage, plus staff assigned to the event
+const hasEventPermission = (user, event, permission = 'manage') => {
+  if (!user || !event) return false;
+  if (user.role === 'admin') return true;
+
+  const userId = user.id.toString();
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+  if (user.role === 'organizer' && event.createdBy && idOf(event.createdBy) === userId) {
+    return true;
+  }
+
+  if (permission === 'checkin' && user.role === 'staff') {
+    return (event.staff || []).some(member => idOf(member) === userId);
+  }
+
+  return false;
+};
+
+// تحميل الفعالية من req.params والتحقق من صلاحية المستخدم عليها (يضعها في req.event)
+const authorizeEvent = (permission = 'manage', param = 'id') => async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params[param]);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!hasEventPermission(req.user, event, permission)) {
+      return res.status(403).json({ message: 'Not authorized for this event' });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    console.error('Event authorization error:', error.message);
+    return res.status(500).json({ message: 'Server error while checking permissions' });
+  }
+};
+
+module.exports = { protect, requireVerifiedEmail, authorize, authorizeEvent, hasEventPermission };
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { sweepExpiredHolds } = require('../jobs/seatHoldSweeper');
+
+// Process the expired payments, waitlist offers and seat holds of the event a
+// request works on before handling it, so a claim window or payment window is
+// enforced even when the background sweeper is not running (serverless hosts).
+// getEventId(req) returns the event id (invalid ids are left to the route).
+const expireEventHolds = (getEventId) => async (req, res, next) => {
+  const eventId = getEventId(req);
+  if (mongoose.isValidObjectId(eventId)) {
+    // الأخطاء تسجل داخل sweepExpiredHolds ولا توقف الطلب
+    await sweepExpiredHolds({ eventId });
+  }
+  next();
+};
+
+const expireHoldsForBodyEvent = expireEventHolds(req => req.body && req.body.eventId);
+const expireHoldsForParamEvent = expireEventHolds(req => req.params.id);
+
+module.exports = { expireEventHolds, expireHoldsForBodyEvent, expireHoldsForParamEvent };
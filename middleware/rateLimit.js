@@ -0,0 +1,87 @@
+const { getRateLimitStore } = require('../services/rateLimit');
+
+const envNumber = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const sendTooManyRequests = (res, resetAt, message) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
+
+// Generic fixed-window limiter. keyGenerator returns the bucket key for a request
+// (or null to skip limiting it).
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt.getTime() - Date.now()) / 1000)));
+
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message);
+      }
+      next();
+    } catch (error) {
+      // تعطل مخزن العدادات لا يجب أن يوقف الخدمة
+      console.error('Rate limit error:', error.message);
+      next();
+    }
+  };
+};
+
+const normalizeEmail = (req) => (req.body && req.body.email ? String(req.body.email).trim().toLowerCase() : null);
+
+// حدود تسجيل الدخول: لكل IP ولكل حساب
+const loginIpLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: envNumber('RATE_LIMIT_LOGIN_WINDOW_MS', 15 * 60 * 1000),
+  max: envNumber('RATE_LIMIT_LOGIN_IP_MAX', 30),
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: envNumber('RATE_LIMIT_LOGIN_WINDOW_MS', 15 * 60 * 1000),
+  max: envNumber('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10),
+  keyGenerator: normalizeEmail,
+  message: 'Too many login attempts for this account, please try again later'
+});
+
+// حدود الحجز أثناء فتح المبيعات: لكل IP ولكل مستخدم (يستخدم بعد protect)
+const bookingIpLimiter = rateLimit({
+  name: 'booking-ip',
+  windowMs: envNumber('RATE_LIMIT_BOOKING_WINDOW_MS', 60 * 1000),
+  max: envNumber('RATE_LIMIT_BOOKING_IP_MAX', 30),
+  message: 'Too many booking requests, please slow down'
+});
+
+const bookingUserLimiter = rateLimit({
+  name: 'booking-user',
+  windowMs: envNumber('RATE_LIMIT_BOOKING_WINDOW_MS', 60 * 1000),
+  max: envNumber('RATE_LIMIT_BOOKING_USER_MAX', 10),
+  keyGenerator: (req) => (req.user ? req.user.id.toString() : null),
+  message: 'Too many booking requests, please slow down'
+});
+
+// Password reset / verification mails
+const emailIpLimiter = rateLimit({
+  name: 'email-ip',
+  windowMs: 60 * 60 * 1000,
+  max: envNumber('RATE_LIMIT_EMAIL_IP_MAX', 10),
+  message: 'Too many email requests, please try again later'
+});
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests,
+  loginIpLimiter,
+  loginAccountLimiter,
+  bookingIpLimiter,
+  bookingUserLimiter,
+  emailIpLimiter
+};
@@ -1,10 +1,55 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  isValidTimeZone,
+  getScheduledStart,
+  getStartOfDay,
+  formatInTimeZone,
+  getTimeZoneName
+} = require('../utils/time');
+const { addressSchema, pointSchema } = require('./schemas/location');
+
+// مدة حجز المقعد المؤقت قبل الدفع (بالدقائق)
+const SEAT_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 10;
+
+// Seat errors are client errors (400) so routes can return them directly
+const createSeatError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
 
 const seatSchema = new mongoose.Schema({
   seatNumber: {
     type: String,
     required: true
   },
+  // موقع المقعد في المخطط (للمقاعد المولدة من مخطط القاعة)
+  section: {
+    type: String
+  },
+  row: {
+    type: String
+  },
+  number: {
+    type: Number
+  },
+  x: {
+    type: Number
+  },
+  y: {
+    type: Number
+  },
+  isAccessible: {
+    type: Boolean,
+    default: false
+  },
+  // An aisle follows this seat, so it is not adjacent to the next one
+  aisleAfter: {
+    type: Boolean,
+    default: false
+  },
   isBooked: {
     type: Boolean,
     default: false
@@ -15,7 +60,71 @@ const seatSchema = new mongoose.Schema({
   },
   bookingDate: {
     type: Date
+  },
+  // Temporary hold placed before the ticket is paid/booked
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  holdExpiresAt: {
+    type: Date
+  }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A seat is held while its hold has not expired yet
+seatSchema.virtual('isHeld').get(function() {
+  return !this.isBooked && !!this.holdExpiresAt && this.holdExpiresAt > new Date();
+});
+
+// نوع تذكرة (VIP، عادي، طالب، حجز مبكر...) بسعره وحصته وفترة بيعه
+const ticketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Maximum tickets of this type (pending orders included); empty means no limit
+  quota: {
+    type: Number,
+    min: 1
+  },
+  salesStart: {
+    type: Date
+  },
+  salesEnd: {
+    type: Date
+  },
+  // Price zone: venue section codes this type can be used for; empty means any seat
+  sections: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
   }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ticketTypeSchema.virtual('isOnSale').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.salesStart || this.salesStart <= now) &&
+    (!this.salesEnd || this.salesEnd > now);
 });
 
 const eventSchema = new mongoose.Schema({
@@ -34,27 +143,60 @@ const eventSchema = new mongoose.Schema({
     type: Date,
     required: true,
     validate: {
+      // Only when scheduling or rescheduling, so past events can still be saved
       validator: function(value) {
-        return value > new Date();
+        const rescheduled = this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('timezone');
+        return !rescheduled || getScheduledStart(value, this.time, this.timezone) > new Date();
       },
       message: 'Event date must be in the future'
     }
   },
+  // وقت البدء المحلي (HH:MM) حسب المنطقة الزمنية للفعالية
   time: {
     type: String,
     required: true,
     match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time format (HH:MM)']
   },
+  // IANA timezone the date and time are expressed in, e.g. Africa/Cairo
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA timezone'
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    default: 120,
+    min: 1,
+    max: 31 * 24 * 60
+  },
+  // Canonical start/end instants (UTC), computed from date, time, timezone and duration
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
   location: {
     type: String,
     required: true,
     maxlength: 200
   },
+  address: addressSchema,
+  // GeoJSON point for "events near me"; geocoded from the address or taken from the venue
+  geo: pointSchema,
+  // Seating layout; when set, seats and totalSeats come from the venue
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
   totalSeats: {
     type: Number,
     required: true,
     min: 1,
-    max: 1000
+    max: 20000
   },
   availableSeats: {
     type: Number,
@@ -68,6 +210,41 @@ const eventSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // When set, tickets are sold by type and `price` is only the fallback
+  ticketTypes: {
+    type: [ticketTypeSchema],
+    validate: {
+      validator: (types) => new Set(types.map(t => t.name.toLowerCase())).size === types.length,
+      message: 'Ticket type names must be unique'
+    }
+  },
+  // Whether attendees may transfer their tickets to someone else (set by admins)
+  allowTransfers: {
+    type: Boolean,
+    default: true
+  },
+  // الحد الأقصى للتذاكر التي يمكن لمستخدم واحد حجزها
+  maxTicketsPerUser: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // سياسة الاسترداد عند إلغاء التذكرة
+  refundPolicy: {
+    // Full refund when cancelled at least this many days before the event
+    fullRefundDaysBefore: {
+      type: Number,
+      default: 7,
+      min: 0
+    },
+    // Percentage refunded after that, until the day of the event
+    partialRefundPercent: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100
+    }
+  },
   category: {
     type: String,
     required: true,
@@ -79,10 +256,29 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // موظفو تسجيل الدخول المعيّنون لهذه الفعالية
+  staff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   image: {
     type: String,
     default: ''
   },
+  // التكرار ضمن سلسلة فعاليات (فارغ للفعاليات المنفردة)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  // Date this occurrence was generated for; stays the same if it is rescheduled
+  occurrenceDate: {
+    type: Date
+  },
+  // Edited on its own, so series-wide edits no longer apply to it
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
   seats: [seatSchema],
   qrCodeData: {
     type: String
@@ -102,26 +298,94 @@ eventSchema.virtual('isSoldOut').get(function() {
   return this.availableSeats === 0;
 });
 
-// ✅ Virtual for formatted date (آمن ضد null/undefined)
+// ✅ Virtual for formatted date in the event's timezone (آمن ضد null/undefined)
 eventSchema.virtual('formattedDate').get(function() {
-  if (!this.date) return null;
-  return this.date.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+  return this.formatSchedule(DEFAULT_LOCALE).date;
+});
+
+// Compute the canonical start/end instants whenever the schedule changes
+eventSchema.pre('validate', function() {
+  const scheduleChanged = ['date', 'time', 'timezone', 'durationMinutes'].some(path => this.isModified(path));
+  if (this.isNew || scheduleChanged || !this.startsAt) {
+    this.startsAt = getScheduledStart(this.date, this.time, this.timezone);
+    this.endsAt = this.startsAt
+      ? new Date(this.startsAt.getTime() + (this.durationMinutes || 120) * 60 * 1000)
+      : undefined;
+  }
 });
 
-// Auto-create seats when totalSeats is modified
-eventSchema.pre('save', function(next) {
-  if (this.isModified('totalSeats')) {
+// Start instant, also for events saved before startsAt existed
+eventSchema.methods.getStartsAt = function() {
+  return this.startsAt || getScheduledStart(this.date, this.time, this.timezone);
+};
+
+eventSchema.methods.getEndsAt = function() {
+  const startsAt = this.getStartsAt();
+  if (this.endsAt || !startsAt) return this.endsAt || null;
+  return new Date(startsAt.getTime() + (this.durationMinutes || 120) * 60 * 1000);
+};
+
+// "Has the event occurred": true once it has started
+eventSchema.methods.hasStarted = function(now = new Date()) {
+  const startsAt = this.getStartsAt();
+  return !!startsAt && startsAt <= now;
+};
+
+// Start/end formatted for a locale, in the event's own timezone
+eventSchema.methods.formatSchedule = function(locale = DEFAULT_LOCALE) {
+  const timeZone = isValidTimeZone(this.timezone) ? this.timezone : DEFAULT_TIMEZONE;
+  const startsAt = this.getStartsAt();
+  const endsAt = this.getEndsAt();
+
+  return {
+    locale,
+    timezone: timeZone,
+    date: formatInTimeZone(startsAt, timeZone, locale, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    start: formatInTimeZone(startsAt, timeZone, locale, { dateStyle: 'full', timeStyle: 'short' }),
+    end: formatInTimeZone(endsAt, timeZone, locale, { dateStyle: 'full', timeStyle: 'short' }),
+    timeZoneName: getTimeZoneName(startsAt, timeZone, locale)
+  };
+};
+
+// Auto-create seats from the venue layout, or in rows of 10 when there is no venue.
+// Runs before validation so venue-backed events need no totalSeats from the client
+// and the generated count is still checked against the totalSeats limits.
+eventSchema.pre('validate', async function() {
+  if (this.venue && (this.isNew || this.isModified('venue'))) {
+    const Venue = mongoose.model('Venue');
+    const venue = await Venue.findById(this.venue);
+
+    if (!venue || !venue.isActive) {
+      throw createSeatError('Venue not found');
+    }
+
+    // الفعالية بدون عنوان خاص تأخذ عنوان وموقع القاعة
+    if (venue.geo && !this.address) {
+      this.address = venue.address;
+      this.geo = venue.geo;
+    }
+
+    this.seats = venue.generateSeats();
+    this.totalSeats = this.seats.length;
+    this.availableSeats = this.totalSeats;
+    return;
+  }
+
+  if (!this.venue && (this.isModified('totalSeats') || this.isModified('venue'))) {
+    if (this.totalSeats > 1000) {
+      throw createSeatError('Events without a venue layout can have at most 1000 seats');
+    }
+
     this.availableSeats = this.totalSeats;
     
     // Generate seats with proper row structure (A-1, A-2, B-1, B-2, etc.)
     this.seats = [];
     const rows = Math.ceil(this.totalSeats / 10); // 10 seats per row
-    let seatCounter = 1;
     
     for (let row = 0; row < rows; row++) {
       const rowLetter = String.fromCharCode(65 + row); // A, B, C, etc.
@@ -130,32 +394,116 @@ eventSchema.pre('save', function(next) {
       for (let seat = 1; seat <= seatsInRow; seat++) {
         this.seats.push({
           seatNumber: `${rowLetter}-${seat}`,
+          row: rowLetter,
+          number: seat,
+          x: seat - 1,
+          y: row,
           isBooked: false
         });
-        seatCounter++;
       }
     }
   }
-  next();
 });
 
-// Update available seats when a seat is booked
-eventSchema.methods.bookSeat = function(seatNumber, userId) {
+// Find a ticket type by id or (case-insensitive) name
+eventSchema.methods.findTicketType = function(ref) {
+  if (!ref) return null;
+  const value = ref.toString();
+  return this.ticketTypes.find(type =>
+    type._id.toString() === value || type.name.toLowerCase() === value.toLowerCase()
+  ) || null;
+};
+
+// Mark a seat as booked without saving (used inside transactions).
+// A seat held by the same user (or whose hold has expired) can be booked;
+// its hold has already been counted in availableSeats.
+eventSchema.methods.claimSeat = function(seatNumber, userId) {
   const seat = this.seats.find(s => s.seatNumber === seatNumber);
-  
+
   if (!seat) {
-    throw new Error('Seat not found');
+    throw createSeatError('Seat not found');
   }
-  
+
   if (seat.isBooked) {
-    throw new Error('Seat already booked');
+    throw createSeatError('Seat already booked');
   }
-  
+
+  if (seat.isHeld && seat.heldBy.toString() !== userId.toString()) {
+    throw createSeatError('Seat is currently held by another user');
+  }
+
+  if (!seat.holdExpiresAt) {
+    this.availableSeats -= 1;
+  }
+
   seat.isBooked = true;
   seat.bookedBy = userId;
   seat.bookingDate = new Date();
-  this.availableSeats -= 1;
-  
+  seat.heldBy = undefined;
+  seat.holdExpiresAt = undefined;
+
+  return seat;
+};
+
+// Update available seats when a seat is booked
+eventSchema.methods.bookSeat = function(seatNumber, userId) {
+  this.claimSeat(seatNumber, userId);
+  return this.save();
+};
+
+// Place a time-limited hold on a seat without saving (renews the hold for the same user)
+eventSchema.methods.placeHold = function(seatNumber, userId, minutes = SEAT_HOLD_MINUTES) {
+  const seat = this.seats.find(s => s.seatNumber === seatNumber);
+
+  if (!seat) {
+    throw createSeatError('Seat not found');
+  }
+
+  if (seat.isBooked) {
+    throw createSeatError('Seat already booked');
+  }
+
+  if (seat.isHeld && seat.heldBy.toString() !== userId.toString()) {
+    throw createSeatError('Seat is currently held by another user');
+  }
+
+  // المقعد المحجوز مؤقتاً (حتى لو انتهت مدته) محسوب مسبقاً من availableSeats
+  if (!seat.holdExpiresAt) {
+    this.availableSeats -= 1;
+  }
+
+  seat.heldBy = userId;
+  seat.holdExpiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  return seat;
+};
+
+eventSchema.methods.holdSeat = function(seatNumber, userId, minutes) {
+  this.placeHold(seatNumber, userId, minutes);
+  return this.save();
+};
+
+// Remove a hold without saving and return the seat to availableSeats
+eventSchema.methods.removeHold = function(seatNumber) {
+  const seat = this.seats.find(s => s.seatNumber === seatNumber);
+
+  if (!seat) {
+    throw createSeatError('Seat not found');
+  }
+
+  if (seat.isBooked || !seat.holdExpiresAt) {
+    throw createSeatError('Seat is not held');
+  }
+
+  seat.heldBy = undefined;
+  seat.holdExpiresAt = undefined;
+  this.availableSeats += 1;
+
+  return seat;
+};
+
+eventSchema.methods.releaseHold = function(seatNumber) {
+  this.removeHold(seatNumber);
   return this.save();
 };
 
@@ -164,11 +512,11 @@ eventSchema.methods.cancelBooking = function(seatNumber) {
   const seat = this.seats.find(s => s.seatNumber === seatNumber);
   
   if (!seat) {
-    throw new Error('Seat not found');
+    throw createSeatError('Seat not found');
   }
   
   if (!seat.isBooked) {
-    throw new Error('Seat is not booked');
+    throw createSeatError('Seat is not booked');
   }
   
   seat.isBooked = false;
@@ -179,14 +527,158 @@ eventSchema.methods.cancelBooking = function(seatNumber) {
   return this.save();
 };
 
+// Pick the best available seats for a party of `quantity`.
+// preference: 'front'  -> front-most row with enough adjacent seats
+//             'center' -> adjacent seats closest to the middle of the venue
+//             'together' -> like center, but never splits the party
+// front/center fall back to the best individual seats when no row has an adjacent block.
+// Seats across an aisle are not adjacent. Seats held by `userId` count as available.
+// `sections` restricts the search to a price zone. Returns seat numbers, or null.
+eventSchema.methods.findBestAvailableSeats = function(quantity, preference = 'center', userId, sections = []) {
+  const isAvailable = (seat) => !seat.isBooked &&
+    (!seat.isHeld || (userId && seat.heldBy.toString() === userId.toString())) &&
+    (sections.length === 0 || sections.includes(seat.section));
+
+  // تجميع المقاعد حسب القسم والصف (المقاعد القديمة: A-1 => الصف A، المقعد 1)
+  const rows = new Map();
+  this.seats.forEach(seat => {
+    let { row, number } = seat;
+    if (!row) {
+      const [legacyRow, legacyNumber] = seat.seatNumber.split('-');
+      row = legacyRow;
+      number = parseInt(legacyNumber, 10);
+    }
+
+    const key = `${seat.section || ''}:${row}`;
+    if (!rows.has(key)) rows.set(key, []);
+    rows.get(key).push({ seat, number });
+  });
+
+  const rowList = [...rows.values()].map(rowSeats => rowSeats.sort((a, b) => a.number - b.number));
+  const middleRow = (rowList.length - 1) / 2;
+
+  const score = (rowIndex, rowSeats, centerNumber) => {
+    const rowCenter = (rowSeats[0].number + rowSeats[rowSeats.length - 1].number) / 2;
+    const seatOffset = Math.abs(centerNumber - rowCenter);
+    return preference === 'front'
+      ? rowIndex * 1000 + seatOffset
+      : Math.abs(rowIndex - middleRow) * 2 + seatOffset;
+  };
+
+  const isNextTo = (previous, current) => current.number === previous.number + 1 && !previous.seat.aisleAfter;
+
+  // البحث عن أفضل مجموعة مقاعد متجاورة في نفس الصف
+  let best = null;
+  rowList.forEach((rowSeats, rowIndex) => {
+    for (let start = 0; start + quantity <= rowSeats.length; start++) {
+      const block = rowSeats.slice(start, start + quantity);
+      const adjacent = block.every((s, i) => isAvailable(s.seat) && (i === 0 || isNextTo(block[i - 1], s)));
+      if (!adjacent) continue;
+
+      const blockCenter = (block[0].number + block[block.length - 1].number) / 2;
+      const blockScore = score(rowIndex, rowSeats, blockCenter);
+      if (!best || blockScore < best.score) {
+        best = { score: blockScore, seats: block };
+      }
+    }
+  });
+
+  if (best) {
+    return best.seats.map(s => s.seat.seatNumber);
+  }
+
+  if (preference === 'together') {
+    return null;
+  }
+
+  // لا توجد مقاعد متجاورة كافية: أفضل المقاعد الفردية
+  const singles = [];
+  rowList.forEach((rowSeats, rowIndex) => {
+    rowSeats.forEach(s => {
+      if (isAvailable(s.seat)) {
+        singles.push({ seat: s.seat, score: score(rowIndex, rowSeats, s.number) });
+      }
+    });
+  });
+
+  if (singles.length < quantity) {
+    return null;
+  }
+
+  return singles
+    .sort((a, b) => a.score - b.score)
+    .slice(0, quantity)
+    .map(s => s.seat.seatNumber);
+};
+
+// Refund due for a ticket cancelled at the given time, per the event's refund policy:
+// full refund until N days before, partial after, nothing on the day of the event
+// (the day starts at midnight in the event's timezone)
+eventSchema.methods.calculateRefund = function(amount, cancelledAt = new Date()) {
+  const eventDay = getStartOfDay(this.getStartsAt(), isValidTimeZone(this.timezone) ? this.timezone : DEFAULT_TIMEZONE);
+
+  if (cancelledAt >= eventDay) {
+    return 0;
+  }
+
+  const policy = this.refundPolicy || {};
+  const fullRefundDaysBefore = policy.fullRefundDaysBefore ?? 7;
+  const partialRefundPercent = policy.partialRefundPercent ?? 50;
+  const daysBefore = (eventDay - cancelledAt) / (24 * 60 * 60 * 1000);
+
+  if (daysBefore >= fullRefundDaysBefore) {
+    return amount;
+  }
+
+  return Math.round(amount * partialRefundPercent) / 100;
+};
+
+// Query condition for events that have not started yet
+// (events saved before startsAt existed fall back to their date)
+eventSchema.statics.upcomingFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { startsAt: { $gt: now } },
+      { startsAt: null, date: { $gt: now } }
+    ]
+  };
+};
+
 // Static method to find active events
 eventSchema.statics.findActive = function() {
-  return this.find({ isActive: true, date: { $gt: new Date() } });
+  return this.find({ isActive: true, ...this.upcomingFilter() });
+};
+
+// Clear every expired seat hold and restore availableSeats; returns the freed seat numbers
+eventSchema.methods.removeExpiredHolds = function(now = new Date()) {
+  const freed = [];
+
+  this.seats.forEach(seat => {
+    if (!seat.isBooked && seat.holdExpiresAt && seat.holdExpiresAt <= now) {
+      seat.heldBy = undefined;
+      seat.holdExpiresAt = undefined;
+      freed.push(seat.seatNumber);
+    }
+  });
+
+  this.availableSeats += freed.length;
+  return freed;
 };
 
 // Index for better performance
 eventSchema.index({ date: 1, isActive: 1 });
+eventSchema.index({ startsAt: 1, isActive: 1 });
 eventSchema.index({ category: 1 });
+// Full-text search for GET /api/events?search= (title matches rank highest)
+eventSchema.index(
+  { title: 'text', location: 'text', description: 'text' },
+  { weights: { title: 10, location: 3, description: 1 }, name: 'event_text_search' }
+);
 eventSchema.index({ createdBy: 1 });
+eventSchema.index({ staff: 1 });
+eventSchema.index({ venue: 1 });
+eventSchema.index({ geo: '2dsphere' });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
+eventSchema.index({ 'seats.holdExpiresAt': 1 });
 
 module.exports = mongoose.model('Event', eventSchema);
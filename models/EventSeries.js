@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { parseRRule } = require('../utils/recurrence');
+
+// سلسلة فعاليات متكررة (ورش أسبوعية، عروض متعددة الليالي...)
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // RRULE-style recurrence, e.g. FREQ=WEEKLY;BYDAY=TU;COUNT=8
+  rrule: {
+    type: String,
+    required: true,
+    validate: {
+      validator: (value) => {
+        try {
+          parseRRule(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid recurrence rule'
+    }
+  },
+  // تاريخ أول تكرار
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Event fields every occurrence is created with (title, time, location, price...)
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+eventSeriesSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
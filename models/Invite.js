@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// دعوة لمرة واحدة تمنح دوراً أعلى عند التسجيل
+const inviteSchema = new mongoose.Schema({
+  // نخزن hash فقط، الرمز نفسه يظهر مرة واحدة عند الإنشاء
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['organizer', 'staff', 'admin'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+inviteSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create an invite and return it together with the plain token
+inviteSchema.statics.createWithToken = async function(data) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await this.create({ ...data, tokenHash: this.hashToken(token) });
+  return { invite, token };
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// كود خصم يديره المشرف ويُطبّق عند الحجز
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percentage (0-100] or a fixed amount taken off each ticket
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Redemptions are counted per order; empty means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // القيود: فعاليات أو فئات محددة (فارغة = جميع الفعاليات)
+  events: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  categories: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Redemption counts come from the tickets of active orders, so cancelled
+  // and expired orders give their use back
+  lastRedeemedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+promoCodeSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percentage' || (value > 0 && value <= 100);
+}, 'Percentage discount must be between 0 and 100');
+
+promoCodeSchema.virtual('isCurrentlyValid').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.validFrom || this.validFrom <= now) &&
+    (!this.validUntil || this.validUntil > now);
+});
+
+// The code applies to an event listed in `events` or of a listed category
+promoCodeSchema.methods.appliesTo = function(event) {
+  if (this.events.length === 0 && this.categories.length === 0) {
+    return true;
+  }
+
+  return this.events.some(id => id.toString() === event._id.toString()) ||
+    this.categories.includes(event.category);
+};
+
+// Discount on a single ticket, never more than its price (rounded to cents)
+promoCodeSchema.methods.calculateDiscount = function(price) {
+  const discount = this.discountType === 'percentage'
+    ? price * this.discountValue / 100
+    : this.discountValue;
+
+  return Math.round(Math.min(discount, price) * 100) / 100;
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  // policy: حسب سياسة الفعالية عند الإلغاء، manual: من قبل المدير
+  type: {
+    type: String,
+    enum: ['policy', 'manual', 'system'],
+    default: 'policy'
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  provider: {
+    type: String
+  },
+  providerRefundId: {
+    type: String
+  },
+  // Sent to the provider so a retried refund is not paid out twice
+  idempotencyKey: {
+    type: String
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+refundSchema.index({ ticket: 1 });
+refundSchema.index({ event: 1, status: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
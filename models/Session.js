@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// جلسة لكل جهاز مسجّل، تحمل رمز التحديث الحالي (hash فقط)
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // الرمز السابق: استخدامه مرة أخرى يعني أنه مسروق فيتم إلغاء الجلسة
+  previousTokenHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// حذف الجلسات المنتهية تلقائياً
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found directly
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+sessionSchema.statics.createForUser = async function(user, { userAgent, ip } = {}) {
+  const session = new this({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+    userAgent,
+    ip
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns null when the token is unknown,
+// expired or revoked; reusing an already rotated token revokes the whole session.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await this.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (tokenHash === session.previousTokenHash) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const nextToken = newRefreshToken(session._id);
+
+  // تحديث مشروط لمنع استخدام نفس الرمز في طلبين متزامنين
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date()
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return { session: rotated, refreshToken: nextToken };
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+const paymentSchema = new mongoose.Schema({
+  provider: {
+    type: String
+  },
+  intentId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'expired', 'refunded'],
+    default: 'pending'
+  },
+  amount: {
+    type: Number
+  },
+  currency: {
+    type: String
+  },
+  // بعد هذا الوقت يتم تحرير المقعد إذا لم يكتمل الدفع
+  expiresAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  }
+}, { _id: false });
+
 const ticketSchema = new mongoose.Schema({
   event: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +38,10 @@ const ticketSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // التذاكر المحجوزة في طلب واحد تشترك في نفس orderId
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   seatNumber: {
     type: String,
     required: true
@@ -19,18 +50,75 @@ const ticketSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // نوع التذكرة المشتراة (للفعاليات ذات الأسعار المتعددة)
+  ticketType: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  ticketTypeName: {
+    type: String
+  },
+  // السعر المدفوع بعد الخصم
   price: {
     type: Number,
     required: true
   },
+  // Price before any promo code discount (kept for reporting)
+  originalPrice: {
+    type: Number
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  promoCodeName: {
+    type: String
+  },
   status: {
     type: String,
-    enum: ['booked', 'cancelled', 'checked-in'],
+    enum: ['pending', 'booked', 'cancelled', 'checked-in'],
     default: 'booked'
   },
+  checkedInAt: {
+    type: Date
+  },
+  // الجهاز والبوابة التي تم تسجيل الدخول منها
+  checkInDevice: {
+    type: String
+  },
+  checkInGate: {
+    type: String
+  },
+  cancelledAt: {
+    type: Date
+  },
   qrCode: {
     type: String // سيتم توليده عند الحجز
+  },
+  // النص الموقّع المشفّر داخل رمز QR
+  qrPayload: {
+    type: String
+  },
+  // معلومات الدفع للفعاليات المدفوعة فقط
+  payment: paymentSchema,
+  // مجموع المبالغ المستردة (التفاصيل في مجموعة refunds)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, { timestamps: true });
 
+ticketSchema.index({ event: 1, status: 1 });
+// Attendee exports stream an event's tickets in seat order
+ticketSchema.index({ event: 1, seatNumber: 1 });
+ticketSchema.index({ orderId: 1 });
+ticketSchema.index({ event: 1, ticketType: 1, status: 1 });
+ticketSchema.index({ promoCode: 1, status: 1 });
+ticketSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+ticketSchema.index({ status: 1, 'payment.expiresAt': 1 });
+
 module.exports = mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
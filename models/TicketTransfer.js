@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// سجل نقل ملكية تذكرة من مستخدم إلى آخر
+const ticketTransferSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // البريد الذي أرسلت إليه التذكرة (قد لا يملك حساباً بعد)
+  toEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Set when the recipient accepts
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ticketTransferSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+ticketTransferSchema.index({ ticket: 1, createdAt: -1 });
+ticketTransferSchema.index({ toEmail: 1, status: 1 });
+// Only one open transfer per ticket
+ticketTransferSchema.index(
+  { ticket: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('TicketTransfer', ticketTransferSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,18 +18,52 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'], // يحدد أن الدور يمكن أن يكون 'user' أو 'admin' فقط
+    // organizer: يدير الفعاليات التي أنشأها، staff: تسجيل الدخول للفعاليات المعيّن لها
+    enum: ['user', 'organizer', 'staff', 'admin'],
     default: 'user', // القيمة الافتراضية هي مستخدم عادي
   },
+  // الحسابات المعطّلة لا يمكنها تسجيل الدخول
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // زيادة هذا الرقم تُبطل كل رموز الوصول الصادرة سابقاً
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // بدون قيمة افتراضية: الحسابات القديمة (قبل التحقق من البريد) تبقى مسموحة
+  isEmailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // hash لرمز رابط اشتراك التقويم الخاص (الرمز نفسه يظهر مرة واحدة)
+  calendarFeedTokenHash: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true },
+  },
 }, { timestamps: true }); // timestamps تضيف created_at و updated_at تلقائياً
 
 // دالة لتشفير كلمة المرور قبل حفظ المستخدم
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // تغيير كلمة المرور يُبطل الجلسات الحالية
+  if (!this.isNew) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.passwordChangedAt = new Date();
+  }
+  next();
 });
 
 // دالة لمقارنة كلمة المرور المدخلة مع المشفرة في DB
@@ -36,4 +71,17 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const hashCalendarFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create (or rotate) the private calendar feed token; returns the plain token, caller saves
+userSchema.methods.createCalendarFeedToken = function () {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarFeedTokenHash = hashCalendarFeedToken(token);
+  return token;
+};
+
+userSchema.statics.findByCalendarFeedToken = function (token) {
+  return this.findOne({ calendarFeedTokenHash: hashCalendarFeedToken(token), isActive: { $ne: false } });
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
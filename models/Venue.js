@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { addressSchema, pointSchema, toAddress, convertLegacyAddress } = require('./schemas/location');
+
+// صف من المقاعد داخل قسم
+const rowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5
+  },
+  seats: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 200
+  },
+  // Seat numbers followed by an aisle (seats across an aisle are not adjacent)
+  aisleAfter: [Number],
+  // Wheelchair-accessible seat numbers
+  accessible: [Number]
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // يظهر في رقم المقعد: ORCH-A-1
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Section code must be 1-10 letters or digits']
+  },
+  // Top-left corner of the section on the venue map (grid units)
+  origin: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 }
+  },
+  rows: {
+    type: [rowSchema],
+    validate: {
+      validator: (rows) => rows.length > 0 && new Set(rows.map(r => r.label)).size === rows.length,
+      message: 'Each section needs at least one row and unique row labels'
+    }
+  }
+}, { _id: false });
+
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Also accepts a single line of text, stored as the street
+  address: {
+    type: addressSchema,
+    set: toAddress
+  },
+  // Geocoded from the address unless given explicitly
+  geo: pointSchema,
+  layout: {
+    sections: {
+      type: [sectionSchema],
+      validate: {
+        validator: (sections) => sections.length > 0 && new Set(sections.map(s => s.code)).size === sections.length,
+        message: 'A layout needs at least one section and unique section codes'
+      }
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+venueSchema.index({ geo: '2dsphere' });
+
+venueSchema.pre('init', convertLegacyAddress);
+
+venueSchema.virtual('capacity').get(function() {
+  return (this.layout?.sections || []).reduce(
+    (total, section) => total + section.rows.reduce((sum, row) => sum + row.seats, 0),
+    0
+  );
+});
+
+// Build the seat list of an event from this layout, with map coordinates.
+// Rows are centred inside their section and every aisle adds one empty column.
+venueSchema.methods.generateSeats = function() {
+  const seats = [];
+
+  this.layout.sections.forEach(section => {
+    const rowWidth = (row) => row.seats + (row.aisleAfter || []).filter(n => n < row.seats).length;
+    const sectionWidth = Math.max(...section.rows.map(rowWidth));
+
+    section.rows.forEach((row, rowIndex) => {
+      const aisles = new Set(row.aisleAfter || []);
+      const accessible = new Set(row.accessible || []);
+      let column = (sectionWidth - rowWidth(row)) / 2;
+
+      for (let number = 1; number <= row.seats; number++) {
+        seats.push({
+          seatNumber: `${section.code}-${row.label}-${number}`,
+          section: section.code,
+          row: row.label,
+          number,
+          x: (section.origin?.x || 0) + column,
+          y: (section.origin?.y || 0) + rowIndex,
+          isAccessible: accessible.has(number),
+          aisleAfter: aisles.has(number),
+          isBooked: false
+        });
+        column += aisles.has(number) ? 2 : 1;
+      }
+    });
+  });
+
+  return seats;
+};
+
+module.exports = mongoose.model('Venue', venueSchema);
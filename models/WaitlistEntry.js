@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// مكان مستخدم في قائمة انتظار فعالية مكتملة الحجز (الترتيب حسب وقت الانضمام)
+const waitlistEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // waiting -> offered -> claimed, or expired/left when the user drops out
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'left'],
+    default: 'waiting'
+  },
+  // المقعد المعروض على المستخدم (محجوز له مؤقتاً حتى offerExpiresAt)
+  offeredSeat: {
+    type: String
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  claimedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+waitlistEntrySchema.index({ event: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+// One open entry per user and event
+waitlistEntrySchema.index(
+  { event: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+// Position in line (1-based) of a waiting entry
+waitlistEntrySchema.methods.getPosition = async function() {
+  const ahead = await this.constructor.countDocuments({
+    event: this.event,
+    status: 'waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Structured postal address shared by venues and events
+const addressSchema = new mongoose.Schema({
+  street: { type: String, trim: true, maxlength: 200 },
+  city: { type: String, trim: true, maxlength: 100 },
+  region: { type: String, trim: true, maxlength: 100 },
+  postalCode: { type: String, trim: true, maxlength: 20 },
+  // ISO 3166-1 alpha-2
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO code']
+  }
+}, { _id: false });
+
+// GeoJSON point; note the order is [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point',
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (coordinates) => coordinates.length === 2
+        && coordinates[0] >= -180 && coordinates[0] <= 180
+        && coordinates[1] >= -90 && coordinates[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Venues saved before addresses were structured store a single line of text;
+// it is kept as the street so those documents still load and save
+const toAddress = (value) => (typeof value === 'string' ? { street: value } : value);
+
+// pre('init') hook converting a stored text address while the document is loaded
+function convertLegacyAddress(doc) {
+  if (doc && typeof doc.address === 'string') {
+    doc.address = toAddress(doc.address);
+  }
+}
+
+// One line for display and geocoding: "street, city, region postalCode, country"
+const formatAddress = (address) => {
+  if (!address) return '';
+  const locality = [address.region, address.postalCode].filter(Boolean).join(' ');
+  return [address.street, address.city, locality, address.country].filter(Boolean).join(', ');
+};
+
+module.exports = { addressSchema, pointSchema, formatAddress, toAddress, convertLegacyAddress };
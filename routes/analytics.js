@@ -1,30 +1,96 @@
 const express = require('express');
-const { protect } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { protect, authorize, authorizeEvent, hasEventPermission } = require('../middleware/authMiddleware');
 const Event = require('../models/Event');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const Refund = require('../models/Refund');
+const { toCsvRow } = require('../utils/csv');
 const router = express.Router();
 
+// التذاكر المباعة فعلاً (بدون التذاكر المعلقة أو التي فشل/انتهى دفعها)
+const soldTicketsMatch = (extra = {}) => ({
+  status: { $ne: 'pending' },
+  'payment.status': { $nin: ['failed', 'expired'] },
+  ...extra
+});
+
+// التذاكر التي تم تحصيل ثمنها: الحجوزات السارية، والملغاة التي دُفعت (قد تكون استُردت)
+const revenueTicketsMatch = (extra = {}) => ({
+  $or: [
+    { status: { $in: ['booked', 'checked-in'] } },
+    { status: 'cancelled', 'payment.status': { $in: ['succeeded', 'refunded'] } }
+  ],
+  ...extra
+});
+
+// Gross, refunded and net revenue, optionally for a single event
+const getRevenueSummary = async (eventId) => {
+  const eventFilter = eventId ? { event: eventId } : {};
+
+  const [grossAgg, refundedAgg] = await Promise.all([
+    Ticket.aggregate([
+      { $match: revenueTicketsMatch(eventFilter) },
+      { $group: { _id: null, total: { $sum: '$price' } } }
+    ]),
+    Refund.aggregate([
+      { $match: { ...eventFilter, status: 'succeeded' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const gross = grossAgg[0]?.total || 0;
+  const refunded = refundedAgg[0]?.total || 0;
+
+  return { gross, refunded, net: gross - refunded };
+};
+
+// التذاكر التي لا تحمل نوعاً (فعاليات بسعر واحد)
+const DEFAULT_TICKET_TYPE = 'Standard';
+
+// Gross, refunded and net revenue per ticket type, optionally for a single event
+const getRevenueByType = async (eventId) => {
+  const eventFilter = eventId ? { event: eventId } : {};
+  const typeName = { $ifNull: ['$ticketTypeName', DEFAULT_TICKET_TYPE] };
+
+  const [grossAgg, refundedAgg] = await Promise.all([
+    Ticket.aggregate([
+      { $match: revenueTicketsMatch(eventFilter) },
+      { $group: { _id: typeName, tickets: { $sum: 1 }, gross: { $sum: '$price' } } }
+    ]),
+    Refund.aggregate([
+      { $match: { ...eventFilter, status: 'succeeded' } },
+      { $lookup: { from: 'tickets', localField: 'ticket', foreignField: '_id', as: 'ticket' } },
+      { $unwind: '$ticket' },
+      { $group: { _id: { $ifNull: ['$ticket.ticketTypeName', DEFAULT_TICKET_TYPE] }, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const refundedByType = new Map(refundedAgg.map(r => [r._id, r.total]));
+
+  return grossAgg
+    .map(({ _id, tickets, gross }) => {
+      const refunded = refundedByType.get(_id) || 0;
+      return { ticketType: _id, tickets, gross, refunded, net: gross - refunded };
+    })
+    .sort((a, b) => b.net - a.net);
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/analytics/dashboard
 // @access  Private/Admin
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized as admin' });
-    }
-
     // الإحصائيات الأساسية
     const totalEvents = await Event.countDocuments();
     const totalTickets = await Ticket.countDocuments();
-    const totalRevenueAgg = await Ticket.aggregate([
-      { $match: { status: { $ne: 'cancelled' } } },
-      { $group: { _id: null, total: { $sum: '$price' } } }
-    ]);
-    const totalRevenue = totalRevenueAgg[0]?.total || 0;
+    const revenue = await getRevenueSummary();
+    const totalRevenue = revenue.net;
+    const revenueByTicketType = await getRevenueByType();
 
     const totalUsers = await User.countDocuments();
-    const activeEvents = await Event.countDocuments({ date: { $gte: new Date() } });
+    const activeEvents = await Event.countDocuments(Event.upcomingFilter());
 
     const recentTickets = await Ticket.find()
       .populate('event', 'title')
@@ -36,7 +102,7 @@ router.get('/dashboard', protect, async (req, res) => {
     const monthlyRevenue = await Ticket.aggregate([
       {
         $match: {
-          status: { $ne: 'cancelled' },
+          status: { $in: ['booked', 'checked-in'] },
           createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
         }
       },
@@ -84,9 +150,11 @@ router.get('/dashboard', protect, async (req, res) => {
         totalEvents,
         totalTickets,
         totalRevenue,
+        revenue,
         totalUsers,
         activeEvents
       },
+      revenueByTicketType,
       monthlyRevenue,
       topEvents: eventStats,
       recentTickets
@@ -97,4 +165,315 @@ router.get('/dashboard', protect, async (req, res) => {
   }
 });
 
+// @desc    Get detailed analytics for a single event
+// @route   GET /api/analytics/events/:id
+// @access  Private/Admin, Organizer (own events)
+router.get('/events/:id', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
+  try {
+    const { event } = req;
+
+    // توزيع التذاكر حسب الحالة مع الإيرادات لكل حالة
+    const statusAgg = await Ticket.aggregate([
+      { $match: soldTicketsMatch({ event: event._id }) },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          revenue: { $sum: { $ifNull: ['$price', 0] } }
+        }
+      }
+    ]);
+
+    const byStatus = { booked: 0, 'checked-in': 0, cancelled: 0 };
+    const revenueByStatus = { booked: 0, 'checked-in': 0, cancelled: 0 };
+    statusAgg.forEach(s => {
+      byStatus[s._id] = s.count;
+      revenueByStatus[s._id] = s.revenue;
+    });
+
+    const pendingTickets = await Ticket.countDocuments({ event: event._id, status: 'pending' });
+
+    const totalTickets = byStatus.booked + byStatus['checked-in'] + byStatus.cancelled;
+    const activeTickets = byStatus.booked + byStatus['checked-in'];
+    const revenue = await getRevenueSummary(event._id);
+    const revenueByTicketType = await getRevenueByType(event._id);
+
+    // المبيعات اليومية منذ بداية الحجز
+    const salesOverTime = await Ticket.aggregate([
+      { $match: soldTicketsMatch({ event: event._id }) },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          tickets: { $sum: 1 },
+          revenue: { $sum: { $ifNull: ['$price', 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    // نسبة الإشغال لكل صف (المقاعد القديمة: A-1, A-2 => الصف A)
+    const rows = {};
+    event.seats.forEach(seat => {
+      const row = seat.row || seat.seatNumber.split('-')[0];
+      const key = `${seat.section || ''}:${row}`;
+      if (!rows[key]) {
+        rows[key] = { section: seat.section || null, row, totalSeats: 0, bookedSeats: 0 };
+      }
+      rows[key].totalSeats += 1;
+      if (seat.isBooked) {
+        rows[key].bookedSeats += 1;
+      }
+    });
+
+    const seatFillByRow = Object.values(rows).map(r => ({
+      ...r,
+      fillRate: r.totalSeats ? r.bookedSeats / r.totalSeats : 0
+    }));
+
+    const bookedSeats = event.totalSeats - event.availableSeats;
+
+    res.json({
+      event: {
+        _id: event._id,
+        title: event.title,
+        date: event.date,
+        location: event.location,
+        price: event.price
+      },
+      tickets: {
+        total: totalTickets,
+        active: activeTickets,
+        pending: pendingTickets,
+        byStatus
+      },
+      seats: {
+        totalSeats: event.totalSeats,
+        bookedSeats,
+        availableSeats: event.availableSeats,
+        fillRate: event.totalSeats ? bookedSeats / event.totalSeats : 0
+      },
+      checkInRate: activeTickets ? byStatus['checked-in'] / activeTickets : 0,
+      cancellationRate: totalTickets ? byStatus.cancelled / totalTickets : 0,
+      revenue: {
+        ...revenue,
+        cancelledTicketsValue: revenueByStatus.cancelled,
+        byTicketType: revenueByTicketType
+      },
+      salesOverTime,
+      seatFillByRow
+    });
+  } catch (error) {
+    console.error('Event Analytics Error:', error);
+    res.status(500).json({ message: 'Server Error: ' + error.message });
+  }
+});
+
+// @desc    Promo code redemptions, discounts and revenue per code
+// @route   GET /api/analytics/promo-codes?eventId=
+// @access  Private/Admin
+router.get('/promo-codes', protect, authorize('admin'), async (req, res) => {
+  try {
+    const match = soldTicketsMatch({ promoCode: { $exists: true } });
+
+    if (req.query.eventId) {
+      if (!mongoose.isValidObjectId(req.query.eventId)) {
+        return res.status(400).json({ message: 'Invalid event ID format' });
+      }
+      match.event = new mongoose.Types.ObjectId(req.query.eventId);
+    }
+
+    const isActive = { $ne: ['$status', 'cancelled'] };
+    const whenActive = (value) => ({ $cond: [isActive, value, 0] });
+
+    const codes = await Ticket.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$promoCode',
+          code: { $first: '$promoCodeName' },
+          orders: { $addToSet: '$orderId' },
+          tickets: { $sum: 1 },
+          cancelledTickets: { $sum: { $cond: [isActive, 0, 1] } },
+          // القيم التالية للتذاكر السارية فقط
+          originalValue: { $sum: whenActive({ $ifNull: ['$originalPrice', '$price'] }) },
+          discountTotal: { $sum: whenActive({ $ifNull: ['$discount', 0] }) },
+          revenue: { $sum: whenActive('$price') }
+        }
+      },
+      {
+        $lookup: {
+          from: 'promocodes',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'promoCode'
+        }
+      },
+      { $unwind: { path: '$promoCode', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          promoCodeId: '$_id',
+          code: 1,
+          discountType: '$promoCode.discountType',
+          discountValue: '$promoCode.discountValue',
+          isActive: '$promoCode.isActive',
+          redemptions: { $size: '$orders' },
+          tickets: 1,
+          cancelledTickets: 1,
+          originalValue: 1,
+          discountTotal: 1,
+          revenue: 1
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+
+    res.json({ codes });
+  } catch (error) {
+    console.error('Promo code analytics error:', error);
+    res.status(500).json({ message: 'Server Error: ' + error.message });
+  }
+});
+
+// أعمدة ملف التصدير (قائمة الحضور)
+const EXPORT_COLUMNS = [
+  { header: 'Event', key: 'event', width: 30 },
+  { header: 'Event Date', key: 'eventDate', width: 22 },
+  { header: 'Name', key: 'name', width: 25 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Seat', key: 'seat', width: 10 },
+  { header: 'Ticket Type', key: 'ticketType', width: 16 },
+  { header: 'Original Price', key: 'originalPrice', width: 14 },
+  { header: 'Promo Code', key: 'promoCode', width: 14 },
+  { header: 'Price', key: 'price', width: 10 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Booked At', key: 'bookedAt', width: 22 },
+  { header: 'Checked In At', key: 'checkedInAt', width: 22 }
+];
+
+const ticketToExportRow = (ticket) => ({
+  event: ticket.event ? ticket.event.title : '',
+  eventDate: ticket.event ? ticket.event.date : null,
+  name: ticket.user ? ticket.user.name : '',
+  email: ticket.user ? ticket.user.email : '',
+  seat: ticket.seatNumber,
+  ticketType: ticket.ticketTypeName || DEFAULT_TICKET_TYPE,
+  originalPrice: ticket.originalPrice ?? ticket.price,
+  promoCode: ticket.promoCodeName || '',
+  price: ticket.price,
+  status: ticket.status,
+  bookedAt: ticket.bookingDate,
+  checkedInAt: ticket.checkedInAt || null
+});
+
+// Wait until the response can take more data; rejects if the client disconnects first
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client closed the connection during export'));
+  };
+
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// @desc    Export tickets (attendee list) as CSV or XLSX
+// @route   GET /api/analytics/export/:eventId?
+// @access  Private/Admin, Organizer (own events)
+router.get('/export/:eventId?', protect, authorize('admin', 'organizer'), async (req, res) => {
+  let cursor;
+
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv or xlsx' });
+    }
+
+    const filter = {};
+    let fileName = 'tickets-all-events';
+
+    if (req.params.eventId) {
+      const event = await Event.findById(req.params.eventId).select('_id createdBy');
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+      if (!hasEventPermission(req.user, event, 'manage')) {
+        return res.status(403).json({ message: 'Not authorized for this event' });
+      }
+      filter.event = event._id;
+      fileName = `tickets-${event._id}`;
+    } else if (req.user.role === 'organizer') {
+      // المنظم يصدّر تذاكر فعالياته فقط
+      const ownEvents = await Event.find({ createdBy: req.user.id }).distinct('_id');
+      filter.event = { $in: ownEvents };
+    }
+
+    // قراءة التذاكر عبر cursor لتجنب تحميل كل البيانات في الذاكرة
+    cursor = Ticket.find(filter)
+      .populate('user', 'name email')
+      .populate('event', 'title date')
+      .sort({ event: 1, seatNumber: 1 })
+      .cursor();
+
+    // العميل أغلق الاتصال قبل انتهاء الملف: إيقاف القراءة من قاعدة البيانات
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        cursor.close().catch(() => {});
+      }
+    });
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const sheet = workbook.addWorksheet('Tickets');
+      sheet.columns = EXPORT_COLUMNS;
+
+      for await (const ticket of cursor) {
+        sheet.addRow(ticketToExportRow(ticket)).commit();
+      }
+
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.write(toCsvRow(EXPORT_COLUMNS.map(c => c.header)));
+
+    for await (const ticket of cursor) {
+      const row = ticketToExportRow(ticket);
+      const ok = res.write(toCsvRow(EXPORT_COLUMNS.map(c => row[c.key])));
+
+      // احترام الضغط العكسي (backpressure) عند الكتابة للعميل
+      if (!ok) {
+        await waitForDrain(res);
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export Error:', error);
+    if (cursor) {
+      cursor.close().catch(() => {});
+    }
+
+    // إذا بدأ إرسال الملف لا يمكن إرجاع JSON
+    if (res.headersSent) {
+      return res.end();
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server Error: ' + error.message });
+  }
+});
+
 module.exports = router;
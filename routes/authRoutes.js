@@ -1,42 +1,127 @@
 // routes/authRoutes.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect } = require('../middleware/authMiddleware');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { escapeRegex } = require('../utils/regex');
+const { generateAccessToken, ACCESS_TOKEN_TTL } = require('../utils/tokens');
+const { sendMail } = require('../services/mail');
+const { loginIpLimiter, loginAccountLimiter, emailIpLimiter, sendTooManyRequests } = require('../middleware/rateLimit');
+const { lockoutKeyFor, getLockout, recordFailedLogin, clearFailedLogins } = require('../services/rateLimit/loginLockout');
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback_secret_for_development', { expiresIn: '30d' });
+// Start a new session (one per device) and return its access + refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+
+const getClientUrl = () => process.env.CLIENT_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  const link = `${getClientUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your EventX email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MINUTES);
+  const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your EventX password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`
+  });
 };
 
-// @desc    Register a new user
+// @desc    Register a new user (elevated roles only through an admin invite)
 // @route   POST /api/auth/register
 // @access  Public
 router.post('/register', async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, inviteToken } = req.body;
 
   try {
+    if (typeof email !== 'string' || !email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
     const userExists = await User.findOne({ email });
 
     if (userExists) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    // الدور يُحدد من الدعوة فقط، وإلا يكون مستخدماً عادياً
+    let invite = null;
+    if (inviteToken) {
+      invite = await Invite.findOne({
+        tokenHash: Invite.hashToken(inviteToken),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!invite || (invite.email && invite.email !== String(email).toLowerCase())) {
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+    }
+
+    // الدعوة المرسلة لنفس البريد تؤكد ملكيته
+    const verifiedByInvite = Boolean(invite && invite.email);
+
     const user = await User.create({
       name,
       email,
       password, // سيتم تشفيرها تلقائياً بواسطة middleware في النموذج (pre('save'))
-      role: role || 'user', // إذا لم يتم تحديد دور، استخدم 'user'
+      role: invite ? invite.role : 'user',
+      isEmailVerified: verifiedByInvite,
+      emailVerifiedAt: verifiedByInvite ? new Date() : undefined,
     });
 
+    if (invite) {
+      // استخدام الدعوة مرة واحدة فقط (تحديث مشروط ضد الاستخدام المتزامن)
+      const claimed = await Invite.findOneAndUpdate(
+        { _id: invite._id, usedAt: null },
+        { usedAt: new Date(), usedBy: user._id }
+      );
+
+      if (!claimed) {
+        await User.deleteOne({ _id: user._id });
+        return res.status(400).json({ message: 'Invalid or expired invite' });
+      }
+    }
+
+    if (!user.isEmailVerified) {
+      // فشل الإرسال لا يمنع التسجيل، يمكن طلب رسالة جديدة لاحقاً
+      sendVerificationEmail(user).catch(err => console.error('Verification email error:', err.message));
+    }
+
     if (user) {
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        isEmailVerified: user.isEmailVerified,
+        ...(await issueTokens(user, req)),
       });
     }
   } catch (error) {
@@ -48,22 +133,43 @@ router.post('/register', async (req, res) => {
 // @desc    Auth user & get token (Login)
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginAccountLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    // الحساب مقفل مؤقتاً بعد محاولات فاشلة متكررة من نفس العنوان
+    const lockoutKey = lockoutKeyFor(email, req.ip);
+    const lockedUntil = await getLockout(lockoutKey);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, 'Account temporarily locked after failed login attempts');
+    }
+
     const user = await User.findOne({ email });
 
     // التحقق من وجود المستخدم ومطابقة كلمة المرور
     if (user && (await user.matchPassword(password))) {
+      if (!user.isActive) {
+        return res.status(403).json({ message: 'Account is deactivated' });
+      }
+
+      await clearFailedLogins(lockoutKey);
+
       res.json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        ...(await issueTokens(user, req)),
       });
     } else {
+      const lockUntil = await recordFailedLogin(lockoutKey);
+      if (lockUntil) {
+        return sendTooManyRequests(res, lockUntil, 'Account temporarily locked after failed login attempts');
+      }
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
@@ -72,16 +178,218 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await Session.rotate(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive) {
+      await Session.revokeAllForUser(rotated.session.user);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: generateAccessToken(user, rotated.session._id),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, user: req.user.id },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Log out from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+    await Session.revokeAllForUser(req.user.id);
+
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Change password (ends every other session)
+// @route   PUT /api/auth/password
+// @access  Private
+router.put('/password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    // pre('save') يقوم بالتشفير وزيادة tokenVersion
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...(await issueTokens(user, req))
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Confirm email address with the token sent at registration
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const authToken = await AuthToken.consume(token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    await User.updateOne(
+      { _id: authToken.user },
+      { isEmailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, emailIpLimiter, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail({ _id: req.user.id, name: req.user.name, email: req.user.email });
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', emailIpLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+
+    // نفس الرد دائماً حتى لا نكشف الحسابات الموجودة
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+
+    // Sent after responding, so the response time does not reveal whether the account exists
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user).catch(err => console.error('Password reset email error:', err.message));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    const authToken = await AuthToken.consume(token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // pre('save') يقوم بالتشفير وزيادة tokenVersion، ثم نلغي كل الجلسات
+    user.password = password;
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
 // @desc    Get user profile (Protected Route Example)
 // @route   GET /api/auth/profile
 // @access  Private
 router.get('/profile', protect, async (req, res) => {
   try {
     res.json({
-      _id: req.user._id,
+      _id: req.user.id,
       name: req.user.name,
       email: req.user.email,
-      role: req.user.role
+      role: req.user.role,
+      isEmailVerified: req.user.isEmailVerified
     });
   } catch (error) {
     console.error('Profile error:', error);
@@ -89,19 +397,184 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
-// @desc    Get all users (For testing)
+// @desc    Create a one-time invite that grants an elevated role on registration
+// @route   POST /api/auth/invites
+// @access  Private/Admin
+router.post('/invites', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { email, role, expiresInDays = 7 } = req.body;
+
+    if (!['organizer', 'staff', 'admin'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be organizer, staff or admin' });
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 30) {
+      return res.status(400).json({ message: 'Invite expiry must be between 1 and 30 days' });
+    }
+
+    const { invite, token } = await Invite.createWithToken({
+      email,
+      role,
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      _id: invite._id,
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      // الرمز لا يُخزن ولا يمكن استرجاعه لاحقاً
+      token
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    List invites
+// @route   GET /api/auth/invites
+// @access  Private/Admin
+router.get('/invites', protect, authorize('admin'), async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .select('-tokenHash')
+      .populate('createdBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(invites);
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Get users with pagination, search and filters
 // @route   GET /api/auth/users
-// @access  Public
-router.get('/users', async (req, res) => {
+// @access  Private/Admin
+router.get('/users', protect, authorize('admin'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
-    res.json(users);
+    const { search, role, isActive } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      // قيمة نصية من الأدوار المعروفة فقط (وليس كائن استعلام مثل role[$ne])
+      if (!User.schema.path('role').enumValues.includes(role)) {
+        return res.status(400).json({ message: 'Invalid role' });
+      }
+      filter.role = role;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error: ' + error.message });
   }
 });
 
+// @desc    Change a user's role
+// @route   PUT /api/auth/users/:id/role
+// @access  Private/Admin
+router.put('/users/:id/role', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['user', 'organizer', 'staff', 'admin'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Change role error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/auth/users/:id/status
+// @access  Private/Admin
+router.put('/users/:id/status', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be true or false' });
+    }
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own status' });
+    }
+
+    // تعطيل الحساب يُبطل كل جلساته فوراً
+    const update = isActive ? { isActive } : { isActive, $inc: { tokenVersion: 1 } };
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Change status error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
 // @desc    Health check endpoint
 // @route   GET /api/auth/health
 // @access  Public
@@ -0,0 +1,213 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const Ticket = require('../models/Ticket');
+const { createSeries, updateSeriesOccurrences } = require('../services/eventSeries');
+const { isBookingConflict } = require('../services/booking');
+const router = express.Router();
+
+// Only admins or the organizer who created a series may change it
+const canManageSeries = (user, series) =>
+  user.role === 'admin' || series.createdBy.toString() === user.id.toString();
+
+// Date of the occurrence a "this and following" edit starts from
+const getFromDate = async (series, occurrenceId) => {
+  if (!occurrenceId) return null;
+
+  const occurrence = await Event.findOne({ _id: occurrenceId, series: series._id }).select('occurrenceDate');
+  if (!occurrence) {
+    const error = new Error('Occurrence not found in this series');
+    error.status = 404;
+    throw error;
+  }
+  return occurrence.occurrenceDate;
+};
+
+const handleSeriesError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: 'Validation error', errors });
+  }
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid value for ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @desc    Create an event series and its occurrences from a recurrence rule
+// @route   POST /api/event-series
+// @access  Private/Admin, Organizer
+router.post('/', protect, authorize('admin', 'organizer'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { series, occurrences } = await createSeries({
+      body: req.body,
+      userId: req.user.id,
+      session
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      series,
+      occurrences: occurrences.map(event => ({ _id: event._id, date: event.date, time: event.time }))
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Create series error:', error);
+    handleSeriesError(res, error, 'Server error while creating event series');
+  }
+});
+
+// @desc    Get a series with its upcoming occurrences
+// @route   GET /api/event-series/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id).populate('createdBy', 'name email');
+    if (!series || !series.isActive) {
+      return res.status(404).json({ message: 'Event series not found' });
+    }
+
+    const occurrences = await Event.find({
+      series: series._id,
+      isActive: true,
+      ...Event.upcomingFilter()
+    })
+      .select('-seats')
+      .sort({ date: 1 });
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    console.error('Get series error:', error);
+    handleSeriesError(res, error, 'Server error while fetching event series');
+  }
+});
+
+// @desc    Edit all upcoming occurrences, or this and following (?fromOccurrence=<eventId>)
+// @route   PUT /api/event-series/:id
+// @access  Private/Admin, Organizer (own series)
+router.put('/:id', protect, authorize('admin', 'organizer'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const series = await EventSeries.findById(req.params.id).session(session);
+    if (!series || !series.isActive) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Not authorized to update this series' });
+    }
+
+    const fromDate = await getFromDate(series, req.query.fromOccurrence);
+    const updatedOccurrences = await updateSeriesOccurrences({ series, body: req.body, fromDate, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Event series updated successfully', series, updatedOccurrences });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Update series error:', error);
+    handleSeriesError(res, error, 'Server error while updating event series');
+  }
+});
+
+// @desc    Cancel all upcoming occurrences, or this and following (?fromOccurrence=<eventId>).
+//          Refused with 409 while any of them has active tickets.
+// @route   DELETE /api/event-series/:id
+// @access  Private/Admin, Organizer (own series)
+router.delete('/:id', protect, authorize('admin', 'organizer'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const series = await EventSeries.findById(req.params.id).session(session);
+    if (!series || !series.isActive) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Not authorized to delete this series' });
+    }
+
+    const fromDate = await getFromDate(series, req.query.fromOccurrence);
+
+    const filter = { series: series._id, isActive: true, ...Event.upcomingFilter() };
+    if (fromDate) {
+      filter.occurrenceDate = { $gte: fromDate };
+    }
+
+    // التذاكر النشطة تحتاج إلى إلغاء واسترداد لكل تذكرة، لذلك لا تُحذف هذه التكرارات هنا
+    const occurrenceIds = await Event.find(filter).session(session).distinct('_id');
+    const bookedOccurrences = await Ticket.distinct('event', {
+      event: { $in: occurrenceIds },
+      status: { $in: ['pending', 'booked', 'checked-in'] }
+    }).session(session);
+    if (bookedOccurrences.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        message: 'Some occurrences have active tickets; cancel those tickets before deleting the series',
+        occurrences: bookedOccurrences
+      });
+    }
+
+    // Soft delete, like single events. A booking committed meanwhile writes the
+    // same event documents, so one of the two transactions fails instead
+    const result = await Event.updateMany(
+      { _id: { $in: occurrenceIds } },
+      { isActive: false },
+      { session }
+    );
+
+    if (!fromDate) {
+      series.isActive = false;
+      await series.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Event series deleted successfully', deletedOccurrences: result.modifiedCount });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Delete series error:', error);
+    if (isBookingConflict(error)) {
+      return res.status(409).json({ message: 'Occurrences were booked meanwhile, please try again' });
+    }
+    handleSeriesError(res, error, 'Server error while deleting event series');
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,322 @@
 const express = require('express');
-const { protect } = require('../middleware/authMiddleware');
+const mongoose = require('mongoose');
+const { protect, requireVerifiedEmail, authorize, authorizeEvent } = require('../middleware/authMiddleware');
+const { expireHoldsForParamEvent } = require('../middleware/expireHolds');
 const Event = require('../models/Event');
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const QRCode = require('qrcode');
+const { resolveTicketType, assertWithinTicketLimit } = require('../services/booking');
+const { passOnOffer } = require('../services/waitlist');
+const { geocodeDocument } = require('../services/geocoding');
+const { getScheduledStart, isDateOnly, resolveLocale } = require('../utils/time');
+const { buildCalendar, eventToIcsEntry } = require('../utils/ical');
+const { escapeRegex } = require('../utils/regex');
+const { parseNearParam } = require('../utils/geo');
+const { getListingKey, encodeCursor, decodeCursor, keysetCondition } = require('../utils/listCursor');
 const router = express.Router();
 
+// The start time is sent separately in `time`, in the event's timezone
+const DATE_ONLY_MESSAGE = 'Event date must be a calendar date (YYYY-MM-DD); set the start time in time';
+
+const createListError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseNumberParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw createListError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw createListError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Range condition on the event start (events saved before startsAt existed use their date)
+const startRangeCondition = (range) => ({
+  $or: [
+    { startsAt: range },
+    { startsAt: null, date: range }
+  ]
+});
+
+// Filters of the event list, except category (so category facets can be counted on them)
+const buildEventListFilter = (query) => {
+  const filter = { isActive: true };
+  const conditions = [Event.upcomingFilter()];
+
+  // بحث نصي عبر text index بدلاً من $regex (أسرع وآمن من حقن التعابير)
+  if (query.search) {
+    filter.$text = { $search: String(query.search) };
+  }
+
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to');
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    conditions.push(startRangeCondition(range));
+  }
+
+  // Events with ticket types match on any active type's price, others on their price
+  const minPrice = parseNumberParam(query.minPrice, 'minPrice');
+  const maxPrice = parseNumberParam(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) range.$gte = minPrice;
+    if (maxPrice !== undefined) range.$lte = maxPrice;
+    conditions.push({
+      $or: [
+        { 'ticketTypes.0': { $exists: false }, price: range },
+        { ticketTypes: { $elemMatch: { isActive: true, price: range } } }
+      ]
+    });
+  }
+
+  if (query.location) {
+    filter.location = { $regex: escapeRegex(query.location), $options: 'i' };
+  }
+
+  // استبعاد الفعاليات المكتملة الحجز
+  if (query.available === 'true') {
+    filter.availableSeats = { $gt: 0 };
+  }
+
+  if (query.series) {
+    if (!mongoose.isValidObjectId(query.series)) {
+      throw createListError('Invalid series ID format');
+    }
+    filter.series = new mongoose.Types.ObjectId(query.series);
+  }
+
+  filter.$and = conditions;
+  return filter;
+};
+
+// Sortable fields of the event list (?sortBy= name -> document path)
+const EVENT_SORT_FIELDS = {
+  date: 'startsAt',
+  title: 'title',
+  price: 'price',
+  availableSeats: 'availableSeats',
+  createdAt: 'createdAt'
+};
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+const parseIntegerParam = (value, name, { min = 1, max = Infinity, defaultValue }) => {
+  if (value === undefined || value === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createListError(max === Infinity
+      ? `${name} must be an integer of at least ${min}`
+      : `${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
 // @desc    Get all active events with filtering and pagination
+//          ?search= full-text search (sorted by relevance unless sortBy is given)
+//          ?from=&to= start date range, ?minPrice=&maxPrice=, ?location=, ?available=true
+//          ?near=lat,lng&radius=km events within radius, nearest first (adds distance in km)
+//          ?occurrences=group shows each series once, with its next occurrence;
+//          ?series=<id> lists the occurrences of one series;
+//          dates are formatted for ?locale= or Accept-Language
+//          The response includes category facet counts for the other filters.
+//          Paginate with ?page= or, for stable infinite scroll, ?cursor=<nextCursor>
+//          (cursors need a sortBy field, not relevance or distance, and only work
+//          with the sort and filters they were issued for).
 // @route   GET /api/events
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search, sortBy = 'date', sortOrder = 'asc' } = req.query;
-    
+    const { category, search, sortOrder = 'asc', occurrences = 'expand' } = req.query;
+    const page = parseIntegerParam(req.query.page, 'page', { defaultValue: 1 });
+    const limit = parseIntegerParam(req.query.limit, 'limit', { max: MAX_PAGE_SIZE, defaultValue: DEFAULT_PAGE_SIZE });
+    const near = parseNearParam(req.query);
+    const sortBy = req.query.sortBy || (search ? 'relevance' : near ? 'distance' : 'date');
+    const sortField = EVENT_SORT_FIELDS[sortBy];
+    const listingKey = getListingKey(req.query, sortBy, sortOrder);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor, listingKey) : null;
+    // With a cursor the page number travels inside it and ?page= is ignored
+    const currentPage = cursor ? cursor.page : page;
+    const locale = resolveLocale(req);
+
+    if (!['group', 'expand'].includes(occurrences)) {
+      return res.status(400).json({ message: 'Occurrences must be group or expand' });
+    }
+
+    if (!sortField && !['relevance', 'distance'].includes(sortBy)) {
+      const sortable = [...Object.keys(EVENT_SORT_FIELDS), 'relevance', 'distance'];
+      return res.status(400).json({ message: `sortBy must be one of: ${sortable.join(', ')}` });
+    }
+
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      return res.status(400).json({ message: 'sortOrder must be asc or desc' });
+    }
+
+    if (sortBy === 'relevance' && !search) {
+      return res.status(400).json({ message: 'Sorting by relevance requires a search term' });
+    }
+
+    // MongoDB cannot combine $text with $geoNear in one query
+    if (search && near) {
+      return res.status(400).json({ message: 'search cannot be combined with near' });
+    }
+
+    if (sortBy === 'distance' && !near) {
+      return res.status(400).json({ message: 'Sorting by distance requires near' });
+    }
+
+    if (cursor && !sortField) {
+      return res.status(400).json({ message: 'Cursor pagination is not available when sorting by relevance or distance' });
+    }
+
     // Build filter object
-    const filter = { isActive: true, date: { $gt: new Date() } };
-    
+    const baseFilter = buildEventListFilter(req.query);
+    const filter = { ...baseFilter };
+
     if (category && category !== 'all') {
       filter.category = category.toLowerCase();
     }
-    
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { location: { $regex: search, $options: 'i' } }
-      ];
+
+    // Sort options; _id breaks ties so pages never overlap
+    const textScore = { $meta: 'textScore' };
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    let sortOptions;
+    if (sortBy === 'relevance') {
+      sortOptions = { score: textScore };
+    } else if (sortBy === 'distance') {
+      sortOptions = { distance: 1, _id: 1 };
+    } else {
+      sortOptions = { [sortField]: direction, _id: direction };
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // الصفحة التالية تبدأ بعد آخر عنصر (cursor) بدلاً من تخطي عدد ثابت
+    const keyset = cursor ? keysetCondition(sortField, direction, cursor) : null;
+    const skip = cursor ? 0 : (page - 1) * limit;
+
+    // $geoNear must be the first stage; it filters by distance and adds `distance` (km)
+    const firstStage = (match) => near
+      ? {
+        $geoNear: {
+          near: near.point,
+          distanceField: 'distance',
+          distanceMultiplier: 0.001,
+          maxDistance: near.maxDistance,
+          query: match,
+          spherical: true
+        }
+      }
+      : { $match: match };
+
+    // One page of an aggregation, fetching one extra event to know whether more follow
+    const pageStages = [
+      {
+        $facet: {
+          events: [...(keyset ? [{ $match: keyset }] : []), { $skip: skip }, { $limit: limit + 1 }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ];
+
+    // عدد الفعاليات في كل فئة حسب باقي الفلاتر
+    const categoryFacets = await Event.aggregate([
+      firstStage(baseFilter),
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    const facets = {
+      category: categoryFacets.map(facet => ({ value: facet._id, count: facet.count }))
+    };
 
-    const events = await Event.find(filter)
-      .populate('createdBy', 'name email')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    let docs;
+    let total;
+
+    if (occurrences === 'group') {
+      // تجميع تكرارات السلسلة في عنصر واحد (أقرب تكرار + عدد التكرارات)
+      const [result] = await Event.aggregate([
+        firstStage(filter),
+        ...(search ? [{ $addFields: { score: textScore } }] : []),
+        { $sort: { startsAt: 1, date: 1 } },
+        {
+          $group: {
+            _id: { $ifNull: ['$series', '$_id'] },
+            event: { $first: '$$ROOT' },
+            occurrenceCount: { $sum: 1 }
+          }
+        },
+        { $replaceRoot: { newRoot: { $mergeObjects: ['$event', { occurrenceCount: '$occurrenceCount' }] } } },
+        { $sort: sortBy === 'relevance' ? { score: -1, _id: 1 } : sortOptions },
+        ...pageStages
+      ]);
+      docs = result.events;
+      total = result.total[0]?.count || 0;
+    } else if (near) {
+      // أقرب الفعاليات أولاً (ما لم يطلب ترتيب آخر)
+      const [result] = await Event.aggregate([
+        firstStage(filter),
+        { $sort: sortOptions },
+        ...pageStages
+      ]);
+      docs = result.events;
+      total = result.total[0]?.count || 0;
+    } else {
+      docs = await Event.find(
+        keyset ? { ...filter, $and: [...filter.$and, keyset] } : filter,
+        search ? { score: textScore } : undefined
+      )
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limit + 1)
+        .lean();
+      total = await Event.countDocuments(filter);
+    }
+
+    const hasMore = docs.length > limit;
+    docs = docs.slice(0, limit);
 
-    const total = await Event.countDocuments(filter);
+    const events = await Event.populate(
+      docs.map(doc => Event.hydrate(doc)),
+      { path: 'createdBy', select: 'name email' }
+    );
 
     res.json({
-      events,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      events: events.map((event, index) => ({
+        ...event.toJSON(),
+        schedule: event.formatSchedule(locale),
+        ...(occurrences === 'group' ? { occurrenceCount: docs[index].occurrenceCount } : {}),
+        ...(search ? { score: docs[index].score } : {}),
+        ...(near ? { distance: docs[index].distance } : {})
+      })),
+      // Page boundaries move as events are added, so a page count only holds for ?page=
+      totalPages: cursor ? null : Math.ceil(total / limit),
+      currentPage,
+      total,
+      hasMore,
+      nextCursor: hasMore && sortField
+        ? encodeCursor(events[events.length - 1], sortField, listingKey, currentPage + 1)
+        : null,
+      facets
     });
   } catch (error) {
     console.error('Get events error:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error while fetching events' });
   }
 });
@@ -67,7 +338,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Event is no longer available' });
     }
 
-    res.json(event);
+    // مواعيد الفعالية بلغة الطلب وبالمنطقة الزمنية للفعالية
+    res.json({ ...event.toJSON(), schedule: event.formatSchedule(resolveLocale(req)) });
   } catch (error) {
     console.error('Get event error:', error);
     if (error.name === 'CastError') {
@@ -111,24 +383,32 @@ router.post('/:id/generate-qr', generateQrHandler);
 
 // @desc    Create a new event
 // @route   POST /api/events
-// @access  Private/Admin
-router.post('/', protect, async (req, res) => {
+// @access  Private/Admin, Organizer
+router.post('/', protect, authorize('admin', 'organizer'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
+    const { staff, allowTransfers, series, occurrenceDate, isSeriesException, ...body } = req.body;
     const eventData = {
-      ...req.body,
+      ...body,
       createdBy: req.user.id
     };
 
-    // Validate date is in the future
-    if (new Date(eventData.date) <= new Date()) {
+    // السماح بنقل التذاكر يحدده المشرف فقط
+    if (req.user.role === 'admin' && allowTransfers !== undefined) {
+      eventData.allowTransfers = allowTransfers;
+    }
+
+    if (!isDateOnly(eventData.date)) {
+      return res.status(400).json({ message: DATE_ONLY_MESSAGE });
+    }
+
+    // Validate the start (date + time in the event's timezone) is in the future
+    const startsAt = getScheduledStart(eventData.date, eventData.time, eventData.timezone);
+    if (!startsAt || startsAt <= new Date()) {
       return res.status(400).json({ message: 'Event date must be in the future' });
     }
 
     const event = new Event(eventData);
+    await geocodeDocument(event, 'location');
     const createdEvent = await event.save();
     
     await createdEvent.populate('createdBy', 'name email');
@@ -140,32 +420,57 @@ router.post('/', protect, async (req, res) => {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ message: 'Validation error', errors });
     }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid venue ID format' });
+    }
     res.status(500).json({ message: 'Server error while creating event' });
   }
 });
 
 // @desc    Update an event
 // @route   PUT /api/events/:id
-// @access  Private/Admin
-router.put('/:id', protect, async (req, res) => {
+// @access  Private/Admin, Organizer (own events)
+router.put('/:id', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
+    // Prevent updating seats, ownership, staff or series links directly through this endpoint
+    const { seats, createdBy, staff, allowTransfers, series, occurrenceDate, isSeriesException, ...updateData } = req.body;
+    const { event } = req;
+
+    // Only admins can enable or disable ticket transfers
+    if (req.user.role === 'admin' && allowTransfers !== undefined) {
+      updateData.allowTransfers = allowTransfers;
     }
 
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+    if ('date' in updateData && !isDateOnly(updateData.date)) {
+      return res.status(400).json({ message: DATE_ONLY_MESSAGE });
     }
 
-    // Prevent updating seats directly through this endpoint
-    const { seats, ...updateData } = req.body;
+    // عدد المقاعد لفعالية مرتبطة بقاعة يأتي من مخطط القاعة
+    const venueAfterUpdate = 'venue' in updateData ? updateData.venue : event.venue;
+    if ('totalSeats' in updateData && venueAfterUpdate) {
+      return res.status(400).json({ message: 'totalSeats of an event with a venue comes from the venue layout' });
+    }
 
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    // تغيير المخطط يعيد توليد المقاعد، فلا يسمح به بعد بدء الحجز
+    const changesSeating = 'venue' in updateData || 'totalSeats' in updateData;
+    const seatsInUse = event.seats.some(seat => seat.isBooked || seat.holdExpiresAt);
+    if (changesSeating && seatsInUse) {
+      return res.status(400).json({ message: 'Cannot change the seating layout after seats have been booked or held' });
+    }
+
+    // تعديل تكرار واحد من سلسلة يفصله عن تعديلات السلسلة اللاحقة
+    if (event.series) {
+      updateData.isSeriesException = true;
+    }
+
+    // Saving the document (rather than findByIdAndUpdate) regenerates seats when the layout changes
+    event.set(updateData);
+    await geocodeDocument(event, 'location');
+    const updatedEvent = await event.save();
+    await updatedEvent.populate('createdBy', 'name email');
 
     res.json(updatedEvent);
   } catch (error) {
@@ -174,23 +479,22 @@ router.put('/:id', protect, async (req, res) => {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ message: 'Validation error', errors });
     }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid value for ${error.path}` });
+    }
     res.status(500).json({ message: 'Server error while updating event' });
   }
 });
 
 // @desc    Delete an event (soft delete)
 // @route   DELETE /api/events/:id
-// @access  Private/Admin
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private/Admin, Organizer (own events)
+router.delete('/:id', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+    const { event } = req;
 
     // Soft delete instead of actual deletion
     event.isActive = false;
@@ -203,14 +507,72 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Assign a check-in staff member to an event
+// @route   POST /api/events/:id/staff
+// @access  Private/Admin, Organizer (own events)
+router.post('/:id/staff', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ message: 'User ID is required' });
+    }
+
+    const staffMember = await User.findById(userId).select('name email role');
+    if (!staffMember) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (staffMember.role !== 'staff') {
+      return res.status(400).json({ message: 'Only users with the staff role can be assigned' });
+    }
+
+    const event = await Event.findByIdAndUpdate(
+      req.event._id,
+      { $addToSet: { staff: staffMember._id } },
+      { new: true }
+    ).populate('staff', 'name email');
+
+    res.json({ message: 'Staff member assigned successfully', staff: event.staff });
+  } catch (error) {
+    console.error('Assign staff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    res.status(500).json({ message: 'Server error while assigning staff' });
+  }
+});
+
+// @desc    Remove a check-in staff member from an event
+// @route   DELETE /api/events/:id/staff/:userId
+// @access  Private/Admin, Organizer (own events)
+router.delete('/:id/staff/:userId', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
+  try {
+    const event = await Event.findByIdAndUpdate(
+      req.event._id,
+      { $pull: { staff: req.params.userId } },
+      { new: true }
+    ).populate('staff', 'name email');
+
+    res.json({ message: 'Staff member removed successfully', staff: event.staff });
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    res.status(500).json({ message: 'Server error while removing staff' });
+  }
+});
+
 // @desc    Get event seating arrangement
 // @route   GET /api/events/:id/seats
 // @access  Public
 router.get('/:id/seats', async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
-      .select('seats title totalSeats availableSeats isActive date')
-      .populate('seats.bookedBy', 'name email');
+      .select('seats title totalSeats availableSeats isActive date time timezone startsAt venue')
+      .populate('seats.bookedBy', 'name email')
+      .populate('venue', 'name address layout.sections.name layout.sections.code');
 
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
@@ -221,7 +583,7 @@ router.get('/:id/seats', async (req, res) => {
     }
 
     // Check if event date has passed
-    if (new Date(event.date) < new Date()) {
+    if (event.hasStarted()) {
       return res.status(400).json({ message: 'Event has already occurred' });
     }
 
@@ -229,6 +591,13 @@ router.get('/:id/seats', async (req, res) => {
       eventTitle: event.title,
       totalSeats: event.totalSeats,
       availableSeats: event.availableSeats,
+      venue: event.venue ? {
+        _id: event.venue._id,
+        name: event.venue.name,
+        address: event.venue.address,
+        sections: event.venue.layout.sections.map(({ name, code }) => ({ name, code }))
+      } : null,
+      // Each seat carries its section, row, number and x/y map coordinates
       seats: event.seats
     });
   } catch (error) {
@@ -240,10 +609,76 @@ router.get('/:id/seats', async (req, res) => {
   }
 });
 
-// @desc    Reserve a seat
+// @desc    Download an event as an iCalendar file (Google/Outlook/Apple Calendar)
+// @route   GET /api/events/:id/calendar.ics
+// @access  Public
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('-seats');
+
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="event-${event._id}.ics"`
+    });
+    res.send(buildCalendar({ name: event.title, entries: [eventToIcsEntry(event)] }));
+  } catch (error) {
+    console.error('Event calendar error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server error while generating calendar' });
+  }
+});
+
+// @desc    Preview the best available seats for a party (does not hold them)
+// @route   GET /api/events/:id/best-available?quantity=4&preference=center&ticketType=VIP
+// @access  Public
+router.get('/:id/best-available', async (req, res) => {
+  try {
+    const quantity = parseInt(req.query.quantity, 10);
+    const preference = req.query.preference || 'center';
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a positive number' });
+    }
+
+    if (!['front', 'center', 'together'].includes(preference)) {
+      return res.status(400).json({ message: 'Preference must be one of: front, center, together' });
+    }
+
+    const event = await Event.findById(req.params.id).select('seats isActive date time timezone startsAt availableSeats ticketTypes');
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // نوع التذكرة يحصر البحث في منطقة السعر الخاصة به
+    const ticketType = resolveTicketType(event, req.query.ticketType, { required: false });
+    const seatNumbers = event.findBestAvailableSeats(quantity, preference, null, ticketType ? ticketType.sections : []);
+    if (!seatNumbers) {
+      return res.status(404).json({ message: 'Not enough seats available', availableSeats: event.availableSeats });
+    }
+
+    res.json({ quantity, preference, seatNumbers });
+  } catch (error) {
+    console.error('Best available seats error:', error);
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server error while selecting seats' });
+  }
+});
+
+// @desc    Reserve a seat (time-limited hold until the ticket is booked)
 // @route   POST /api/events/:id/reserve-seat
 // @access  Private
-router.post('/:id/reserve-seat', protect, async (req, res) => {
+router.post('/:id/reserve-seat', protect, expireHoldsForParamEvent, async (req, res) => {
   try {
     const { seatNumber } = req.body;
     
@@ -261,31 +696,37 @@ router.post('/:id/reserve-seat', protect, async (req, res) => {
     }
 
     // Check if event date has passed
-    if (new Date(event.date) < new Date()) {
+    if (event.hasStarted()) {
       return res.status(400).json({ message: 'Event has already occurred' });
     }
 
+    // المقاعد المحجوزة مؤقتاً تحسب ضمن الحد الأقصى للتذاكر
+    await assertWithinTicketLimit({ event, userId: req.user.id, seatNumbers: [seatNumber] });
+
     // Use the method from the model
-    await event.bookSeat(seatNumber, req.user.id);
+    await event.holdSeat(seatNumber, req.user.id);
     
-    await event.populate('seats.bookedBy', 'name email');
     const updatedSeat = event.seats.find(s => s.seatNumber === seatNumber);
 
     res.json({ 
-      message: 'Seat reserved successfully',
+      message: 'Seat held successfully, complete your booking before the hold expires',
       seat: updatedSeat,
+      holdExpiresAt: updatedSeat.holdExpiresAt,
       availableSeats: event.availableSeats
     });
   } catch (error) {
     console.error('Reserve seat error:', error);
-    if (error.message === 'Seat not found' || error.message === 'Seat already booked') {
+    if (error.status === 400) {
       return res.status(400).json({ message: error.message });
     }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Seat availability changed, please try again' });
+    }
     res.status(500).json({ message: 'Server error while reserving seat' });
   }
 });
 
-// @desc    Cancel seat reservation
+// @desc    Release a seat hold (booked seats are cancelled through their ticket)
 // @route   POST /api/events/:id/cancel-seat
 // @access  Private
 router.post('/:id/cancel-seat', protect, async (req, res) => {
@@ -307,20 +748,56 @@ router.post('/:id/cancel-seat', protect, async (req, res) => {
       return res.status(404).json({ message: 'Seat not found' });
     }
 
+    // إلغاء الحجز المؤقت
+    if (!seat.isBooked && seat.holdExpiresAt) {
+      if (seat.heldBy.toString() !== req.user.id.toString()) {
+        return res.status(403).json({ message: 'You can only cancel your own reservations' });
+      }
+
+      // مقعد معروض من قائمة الانتظار: يُمرر مباشرة للمستخدم التالي
+      const offer = await WaitlistEntry.findOne({
+        event: event._id,
+        user: req.user.id,
+        status: 'offered',
+        offeredSeat: seatNumber
+      });
+
+      if (offer) {
+        await passOnOffer(offer._id, 'left');
+        const updated = await Event.findById(event._id).select('availableSeats');
+        return res.json({
+          message: 'Seat hold released successfully',
+          availableSeats: updated.availableSeats
+        });
+      }
+
+      await event.releaseHold(seatNumber);
+
+      return res.json({
+        message: 'Seat hold released successfully',
+        availableSeats: event.availableSeats
+      });
+    }
+
     if (!seat.isBooked) {
-      return res.status(400).json({ message: 'Seat is not booked' });
+      return res.status(400).json({ message: 'Seat is not held' });
     }
 
-    if (seat.bookedBy.toString() !== req.user.id) {
+    if (seat.bookedBy.toString() !== req.user.id.toString()) {
       return res.status(403).json({ message: 'You can only cancel your own reservations' });
     }
 
-    // Use the method from the model
-    await event.cancelBooking(seatNumber);
-
-    res.json({ 
-      message: 'Reservation cancelled successfully',
-      availableSeats: event.availableSeats
+    // المقعد المحجوز له تذكرة: الإلغاء عبر التذكرة يبطل رمز QR ويعيد المبلغ ويعرض المقعد على قائمة الانتظار
+    const ticket = await Ticket.findOne({
+      event: event._id,
+      seatNumber,
+      user: req.user.id,
+      status: { $in: ['pending', 'booked'] }
+    }).select('_id');
+
+    res.status(400).json({
+      message: 'Booked seats are cancelled through their ticket: POST /api/tickets/cancel/:ticketId',
+      ticketId: ticket ? ticket._id : null
     });
   } catch (error) {
     console.error('Cancel seat error:', error);
@@ -328,6 +805,135 @@ router.post('/:id/cancel-seat', protect, async (req, res) => {
   }
 });
 
+// @desc    Join the waitlist of a sold-out event
+// @route   POST /api/events/:id/waitlist
+// @access  Private
+router.post('/:id/waitlist', protect, requireVerifiedEmail, expireHoldsForParamEvent, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title date time timezone startsAt isActive availableSeats');
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.hasStarted()) {
+      return res.status(400).json({ message: 'Event has already occurred' });
+    }
+
+    if (!event.isSoldOut) {
+      return res.status(400).json({ message: 'Seats are still available for this event', availableSeats: event.availableSeats });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      event: event._id,
+      user: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'You are already on the waitlist for this event' });
+    }
+
+    const entry = await WaitlistEntry.create({ event: event._id, user: req.user.id });
+
+    res.status(201).json({
+      message: 'Joined the waitlist successfully',
+      entry,
+      position: await entry.getPosition()
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You are already on the waitlist for this event' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server error while joining waitlist' });
+  }
+});
+
+// @desc    Get your place on an event's waitlist (and any seat offered to you)
+// @route   GET /api/events/:id/waitlist/me
+// @access  Private
+router.get('/:id/waitlist/me', protect, expireHoldsForParamEvent, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      event: req.params.id,
+      user: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'You are not on the waitlist for this event' });
+    }
+
+    res.json({
+      entry,
+      position: entry.status === 'waiting' ? await entry.getPosition() : null
+    });
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server error while fetching waitlist' });
+  }
+});
+
+// @desc    Leave an event's waitlist (an offered seat goes to the next user)
+// @route   DELETE /api/events/:id/waitlist
+// @access  Private
+router.delete('/:id/waitlist', protect, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      event: req.params.id,
+      user: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'You are not on the waitlist for this event' });
+    }
+
+    if (entry.status === 'offered') {
+      await passOnOffer(entry._id, 'left');
+    } else {
+      entry.status = 'left';
+      await entry.save();
+    }
+
+    res.json({ message: 'Left the waitlist successfully' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
+    res.status(500).json({ message: 'Server error while leaving waitlist' });
+  }
+});
+
+// @desc    Get an event's waitlist in order
+// @route   GET /api/events/:id/waitlist
+// @access  Private/Admin, Organizer (own events)
+router.get('/:id/waitlist', protect, authorize('admin', 'organizer'), authorizeEvent('manage'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      event: req.event._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.json({
+      waiting: entries.filter(entry => entry.status === 'waiting').length,
+      offered: entries.filter(entry => entry.status === 'offered').length,
+      entries
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching waitlist' });
+  }
+});
+
 // @desc    Get user's booked events
 // @route   GET /api/events/user/bookings
 // @access  Private
@@ -336,7 +942,7 @@ router.get('/user/bookings', protect, async (req, res) => {
     const events = await Event.find({
       'seats.bookedBy': req.user.id,
       isActive: true,
-      date: { $gt: new Date() }
+      ...Event.upcomingFilter()
     }).populate('createdBy', 'name email');
 
     const bookedEvents = events.map(event => ({
@@ -344,10 +950,12 @@ router.get('/user/bookings', protect, async (req, res) => {
         _id: event._id,
         title: event.title,
         date: event.date,
+        startsAt: event.getStartsAt(),
+        timezone: event.timezone,
         location: event.location
       },
       seats: event.seats.filter(seat => 
-        seat.bookedBy && seat.bookedBy.toString() === req.user.id
+        seat.bookedBy && seat.bookedBy.toString() === req.user.id.toString()
       )
     }));
 
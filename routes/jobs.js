@@ -0,0 +1,30 @@
+const express = require('express');
+const crypto = require('crypto');
+const { sweepExpiredHolds } = require('../jobs/seatHoldSweeper');
+const router = express.Router();
+
+// Scheduled jobs are called by the platform scheduler (e.g. Vercel Cron) with
+// "Authorization: Bearer <CRON_SECRET>"; without CRON_SECRET they are disabled
+const authorizeCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(404).json({ message: 'Scheduled jobs are not enabled' });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(String(req.headers.authorization || ''));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ message: 'Not authorized to run scheduled jobs' });
+  }
+  next();
+};
+
+// @desc    Expire unpaid tickets and waitlist offers and release expired seat holds
+// @route   GET /api/jobs/sweep-holds
+// @access  Scheduler (CRON_SECRET)
+router.get('/sweep-holds', authorizeCron, async (req, res) => {
+  const result = await sweepExpiredHolds();
+  res.json({ message: 'Expired holds processed', ...result });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const { issueTicketQr } = require('../utils/ticketQr');
+const { getPaymentProvider } = require('../services/payments');
+const { issueRefund } = require('../services/refunds');
+const router = express.Router();
+
+// @desc    Payment provider webhook (confirms or fails a pending ticket)
+// @route   POST /api/payments/webhook/:provider?
+// @access  Public (verified by provider signature)
+router.post('/webhook/:provider?', async (req, res) => {
+  let provider;
+  let webhookEvent;
+
+  try {
+    provider = getPaymentProvider(req.params.provider);
+    webhookEvent = provider.parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.error('Payment webhook rejected:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook: ' + error.message });
+  }
+
+  const { type, intentId } = webhookEvent;
+  if (!['payment.succeeded', 'payment.failed'].includes(type)) {
+    // أنواع أحداث أخرى لا تهمنا
+    return res.json({ received: true, ignored: true });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // دفعة واحدة قد تغطي عدة تذاكر من نفس الطلب
+    const tickets = await Ticket.find({ 'payment.intentId': intentId }).session(session);
+    if (tickets.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Ticket not found for payment' });
+    }
+
+    // الدفع المتأخر لتذكرة منتهية الصلاحية ما زال يمكن قبوله إذا كان المقعد متاحاً
+    const toProcess = tickets.filter(ticket => (
+      ticket.status === 'pending' ||
+      (ticket.payment.status === 'expired' && type === 'payment.succeeded')
+    ));
+    if (toProcess.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.json({ received: true, message: 'Payment already processed' });
+    }
+
+    const event = await Event.findById(tickets[0].event).session(session);
+    const lostTickets = [];
+
+    for (const ticket of toProcess) {
+      if (type === 'payment.succeeded') {
+        try {
+          if (!event) {
+            throw new Error('Event not found');
+          }
+          event.claimSeat(ticket.seatNumber, ticket.user);
+
+          ticket.status = 'booked';
+          ticket.bookingDate = new Date();
+          ticket.payment.status = 'succeeded';
+          ticket.payment.paidAt = new Date();
+          await issueTicketQr(ticket);
+        } catch (error) {
+          if (error.status !== 400 && error.message !== 'Event not found') throw error;
+
+          // المقعد لم يعد متاحاً بعد انتهاء الحجز المؤقت: نلغي التذكرة ونعيد المبلغ
+          ticket.status = 'cancelled';
+          ticket.cancelledAt = new Date();
+          ticket.payment.status = 'succeeded';
+          ticket.payment.paidAt = new Date();
+          lostTickets.push(ticket);
+        }
+      } else {
+        const seat = event && event.seats.find(s => s.seatNumber === ticket.seatNumber);
+        if (seat && !seat.isBooked && seat.holdExpiresAt && seat.heldBy.toString() === ticket.user.toString()) {
+          event.removeHold(ticket.seatNumber);
+        }
+
+        ticket.status = 'cancelled';
+        ticket.cancelledAt = new Date();
+        ticket.payment.status = 'failed';
+      }
+
+      await ticket.save({ session });
+    }
+
+    if (event) {
+      await event.save({ session });
+    }
+
+    for (const ticket of lostTickets.filter(t => t.payment.amount > 0)) {
+      await issueRefund({
+        ticket,
+        amount: ticket.payment.amount,
+        reason: 'Seat no longer available when payment completed',
+        type: 'system',
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      received: true,
+      tickets: toProcess.map(ticket => ({ ticketId: ticket._id, status: ticket.status }))
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error while processing payment webhook' });
+  }
+});
+
+module.exports = router;
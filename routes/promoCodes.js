@@ -0,0 +1,111 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const PromoCode = require('../models/PromoCode');
+const router = express.Router();
+
+// الحقول التي يمكن للمشرف تعديلها
+const PROMO_CODE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxRedemptions',
+  'maxRedemptionsPerUser', 'validFrom', 'validUntil', 'events', 'categories', 'isActive'
+];
+
+const pickPromoCodeFields = (body) => PROMO_CODE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const handlePromoCodeError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: 'Validation error', errors });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Promo code already exists' });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid value for ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @desc    List promo codes
+// @route   GET /api/promo-codes
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const promoCodes = await PromoCode.find(filter)
+      .populate('events', 'title date')
+      .sort({ createdAt: -1 });
+
+    res.json(promoCodes);
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ message: 'Server error while fetching promo codes' });
+  }
+});
+
+// @desc    Create a promo code
+// @route   POST /api/promo-codes
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...pickPromoCodeFields(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(promoCode);
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    handlePromoCodeError(res, error, 'Server error while creating promo code');
+  }
+});
+
+// @desc    Update a promo code
+// @route   PUT /api/promo-codes/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    promoCode.set(pickPromoCodeFields(req.body));
+    await promoCode.save();
+
+    res.json(promoCode);
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    handlePromoCodeError(res, error, 'Server error while updating promo code');
+  }
+});
+
+// @desc    Deactivate a promo code (tickets keep their discount)
+// @route   DELETE /api/promo-codes/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({ message: 'Promo code deactivated successfully' });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    handlePromoCodeError(res, error, 'Server error while deleting promo code');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,20 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireVerifiedEmail, authorize, authorizeEvent, hasEventPermission } = require('../middleware/authMiddleware');
+const { expireHoldsForBodyEvent } = require('../middleware/expireHolds');
 const Ticket = require('../models/Ticket');
 const Event = require('../models/Event');
+const { verifyTicketPayload, hashTicketPayload, signManifest, getManifestPublicKey } = require('../utils/ticketQr');
+const { getPaymentProvider } = require('../services/payments');
+const { bookSeats, startOrderPayment, holdSeats, isBookingConflict } = require('../services/booking');
+const { getRefundableAmount, issueRefund } = require('../services/refunds');
+const { offerSeatsToWaitlist, notifyWaitlistOffers } = require('../services/waitlist');
+const { initiateTransfer, acceptTransfer, notifyTransferSender } = require('../services/transfers');
+const TicketTransfer = require('../models/TicketTransfer');
+const User = require('../models/User');
+const { buildCalendar, eventToIcsEntry } = require('../utils/ical');
+const { bookingIpLimiter, bookingUserLimiter } = require('../middleware/rateLimit');
 const router = express.Router();
-const QRCode = require('qrcode');
 
 // @desc    Get user's tickets
 // @route   GET /api/tickets/my-tickets
@@ -22,15 +32,16 @@ router.get('/my-tickets', protect, async (req, res) => {
   }
 });
 
-// @desc    Book a ticket
+// @desc    Book a ticket (free events are booked instantly,
+//          paid events return a pending ticket and a payment intent)
 // @route   POST /api/tickets/book
 // @access  Private
-router.post('/book', protect, async (req, res) => {
+router.post('/book', bookingIpLimiter, protect, bookingUserLimiter, requireVerifiedEmail, expireHoldsForBodyEvent, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { eventId, seatNumber } = req.body;
+    const { eventId, seatNumber, ticketType, promoCode } = req.body;
 
     if (!eventId || !seatNumber) {
       await session.abortTransaction();
@@ -38,104 +49,230 @@ router.post('/book', protect, async (req, res) => {
       return res.status(400).json({ message: 'Event ID and seat number are required' });
     }
 
-    // التحقق من وجود الفعالية
-    const event = await Event.findById(eventId).session(session);
-    if (!event || !event.isActive) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ message: 'Event not found or not active' });
+    const { orderId, event, tickets, payment } = await bookSeats({
+      eventId,
+      seatNumbers: [seatNumber],
+      ticketType,
+      promoCode,
+      userId: req.user.id,
+      session
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (payment) {
+      const startedPayment = await startOrderPayment({ orderId, event, userId: req.user.id, payment });
+      tickets[0].payment.intentId = startedPayment.intentId;
+      return res.status(202).json({
+        message: 'Ticket reserved, awaiting payment',
+        ticket: tickets[0],
+        payment: startedPayment
+      });
     }
 
-    // التحقق من أن الفعالية لم تبدأ بعد
-    if (new Date(event.date) < new Date()) {
+    // إرجاع البيانات مع معلومات إضافية
+    const populatedTicket = await Ticket.findById(tickets[0]._id)
+      .populate('event', 'title date location')
+      .populate('user', 'name email');
+
+    res.status(201).json({
+      message: 'Ticket booked successfully',
+      ticket: populatedTicket
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
       await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ message: 'Event has already occurred' });
     }
+    session.endSession();
+    
+    console.error('Book ticket error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.status === 409 || error.status === 502) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (isBookingConflict(error)) {
+      return res.status(409).json({ message: 'Seat availability changed, please try again' });
+    }
+    res.status(500).json({ message: 'Server error while booking ticket' });
+  }
+});
 
-    // التحقق من أن المقعد متاح
-    const seat = event.seats.find(s => s.seatNumber === seatNumber);
-    if (!seat) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ message: 'Seat not found' });
+// @desc    Book several seats in one all-or-nothing order
+// @route   POST /api/tickets/orders
+// @access  Private
+router.post('/orders', bookingIpLimiter, protect, bookingUserLimiter, requireVerifiedEmail, expireHoldsForBodyEvent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { eventId, seatNumbers, ticketType, promoCode } = req.body;
+
+    const { orderId, event, tickets, payment } = await bookSeats({
+      eventId,
+      seatNumbers,
+      ticketType,
+      promoCode,
+      userId: req.user.id,
+      session
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (payment) {
+      const startedPayment = await startOrderPayment({ orderId, event, userId: req.user.id, payment });
+      tickets.forEach(ticket => { ticket.payment.intentId = startedPayment.intentId; });
+      return res.status(202).json({
+        message: 'Seats reserved, awaiting payment',
+        orderId,
+        tickets,
+        payment: startedPayment
+      });
     }
 
-    if (seat.isBooked) {
+    const populatedTickets = await Ticket.find({ orderId })
+      .populate('event', 'title date location')
+      .populate('user', 'name email')
+      .sort({ seatNumber: 1 });
+
+    res.status(201).json({
+      message: 'Tickets booked successfully',
+      orderId,
+      tickets: populatedTickets
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
       await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ message: 'Seat already booked' });
     }
+    session.endSession();
 
-    // التحقق من أن المستخدم لم يحجز هذا المقعد مسبقاً
-    const existingTicket = await Ticket.findOne({
-      event: eventId,
-      user: req.user.id,
-      seatNumber: seatNumber,
-      status: 'booked'
-    }).session(session);
+    console.error('Create order error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.status === 409 || error.status === 502) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (isBookingConflict(error)) {
+      return res.status(409).json({ message: 'Seat availability changed, please try again' });
+    }
+    res.status(500).json({ message: 'Server error while booking tickets' });
+  }
+});
 
-    if (existingTicket) {
+// @desc    Pick the best available seats and book or hold them
+// @route   POST /api/tickets/best-available
+// @access  Private
+router.post('/best-available', bookingIpLimiter, protect, bookingUserLimiter, requireVerifiedEmail, expireHoldsForBodyEvent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { eventId, quantity, preference = 'center', action = 'book', ticketType, promoCode } = req.body;
+
+    if (!['book', 'hold'].includes(action)) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'You already booked this seat' });
+      return res.status(400).json({ message: 'Action must be book or hold' });
     }
 
-    // توليد QR Code
-    const ticketId = new mongoose.Types.ObjectId();
-    const qrData = JSON.stringify({
-      ticketId: ticketId,
-      eventId: event._id,
-      eventTitle: event.title,
-      seatNumber: seatNumber,
+    const options = {
+      eventId,
+      bestAvailable: { quantity, preference },
+      ticketType,
+      promoCode,
       userId: req.user.id,
-      bookingDate: new Date().toISOString()
-    });
+      session
+    };
 
-    const qrCode = await QRCode.toDataURL(qrData);
-
-    // إنشاء التذكرة
-    const ticket = new Ticket({
-      _id: ticketId,
-      event: eventId,
-      user: req.user.id,
-      seatNumber: seatNumber,
-      price: event.price,
-      qrCode: qrCode,
-      status: 'booked'
-    });
+    // حجز مؤقت فقط: يتم إكمال الحجز لاحقاً عبر /orders
+    if (action === 'hold') {
+      const { event, seats } = await holdSeats(options);
 
-    // تحديث حالة المقعد في الفعالية
-    seat.isBooked = true;
-    seat.bookedBy = req.user.id;
-    seat.bookingDate = new Date();
-    event.availableSeats -= 1;
+      await session.commitTransaction();
+      session.endSession();
 
-    await ticket.save({ session });
-    await event.save({ session });
+      return res.json({
+        message: 'Seats held successfully, complete your booking before the hold expires',
+        seatNumbers: seats.map(seat => seat.seatNumber),
+        holdExpiresAt: seats[0].holdExpiresAt,
+        availableSeats: event.availableSeats
+      });
+    }
+
+    const { orderId, event, tickets, payment } = await bookSeats(options);
 
     await session.commitTransaction();
     session.endSession();
 
-    // إرجاع البيانات مع معلومات إضافية
-    const populatedTicket = await Ticket.findById(ticket._id)
-      .populate('event', 'title date location')
-      .populate('user', 'name email');
+    const startedPayment = payment
+      ? await startOrderPayment({ orderId, event, userId: req.user.id, payment })
+      : null;
+    if (startedPayment) {
+      tickets.forEach(ticket => { ticket.payment.intentId = startedPayment.intentId; });
+    }
 
-    res.status(201).json({
-      message: 'Ticket booked successfully',
-      ticket: populatedTicket
+    res.status(payment ? 202 : 201).json({
+      message: payment ? 'Seats reserved, awaiting payment' : 'Tickets booked successfully',
+      orderId,
+      seatNumbers: tickets.map(ticket => ticket.seatNumber),
+      tickets,
+      payment: startedPayment
     });
-
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     session.endSession();
-    
-    console.error('Book ticket error:', error);
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+
+    console.error('Best available booking error:', error);
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
     }
-    res.status(500).json({ message: 'Server error while booking ticket' });
+    if (error.status === 409 || error.status === 502) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (isBookingConflict(error)) {
+      return res.status(409).json({ message: 'Seat availability changed, please try again' });
+    }
+    res.status(500).json({ message: 'Server error while selecting seats' });
+  }
+});
+
+// @desc    Get all tickets of an order
+// @route   GET /api/tickets/orders/:orderId
+// @access  Private
+router.get('/orders/:orderId', protect, async (req, res) => {
+  try {
+    const tickets = await Ticket.find({ orderId: req.params.orderId })
+      .populate('event', 'title date location image')
+      .sort({ seatNumber: 1 });
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (tickets[0].user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    res.json({ orderId: req.params.orderId, tickets });
+  } catch (error) {
+    console.error('Get order error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching order' });
   }
 });
 
@@ -157,7 +294,7 @@ router.post('/cancel/:ticketId', protect, async (req, res) => {
     }
 
     // التحقق من أن التذكرة للمستخدم الحالي
-    if (ticket.user.toString() !== req.user.id) {
+    if (ticket.user.toString() !== req.user.id.toString()) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({ message: 'Not authorized to cancel this ticket' });
@@ -172,32 +309,100 @@ router.post('/cancel/:ticketId', protect, async (req, res) => {
 
     // العثور على الفعالية وتحرير المقعد
     const event = await Event.findById(ticket.event).session(session);
-    if (event) {
+    const wasPending = ticket.status === 'pending';
+    let cancelledTicketIds = [ticket._id];
+    const freedSeats = [];
+
+    if (wasPending) {
+      // لم يتم الدفع بعد: الدفعة تغطي الطلب كاملاً لذلك تُلغى كل تذاكره المعلقة معاً
+      const orderTickets = await Ticket.find({
+        ...(ticket.orderId ? { orderId: ticket.orderId } : { _id: ticket._id }),
+        status: 'pending'
+      }).session(session);
+
+      for (const pendingTicket of orderTickets) {
+        const seat = event && event.seats.find(s => s.seatNumber === pendingTicket.seatNumber);
+        if (seat && !seat.isBooked && seat.holdExpiresAt && seat.heldBy.toString() === pendingTicket.user.toString()) {
+          event.removeHold(pendingTicket.seatNumber);
+          freedSeats.push(pendingTicket.seatNumber);
+        }
+
+        if (!pendingTicket._id.equals(ticket._id)) {
+          pendingTicket.status = 'cancelled';
+          pendingTicket.cancelledAt = new Date();
+          pendingTicket.payment.status = 'failed';
+          await pendingTicket.save({ session });
+        }
+      }
+
+      ticket.payment.status = 'failed';
+      cancelledTicketIds = orderTickets.map(t => t._id);
+    } else if (event) {
       const seat = event.seats.find(s => s.seatNumber === ticket.seatNumber);
       if (seat) {
         seat.isBooked = false;
         seat.bookedBy = null;
         seat.bookingDate = null;
         event.availableSeats += 1;
-        await event.save({ session });
+        freedSeats.push(seat.seatNumber);
       }
     }
 
+    // المقاعد المحررة تُعرض أولاً على قائمة الانتظار
+    let waitlistOffers = [];
+    if (event) {
+      waitlistOffers = await offerSeatsToWaitlist(event, freedSeats, session);
+      await event.save({ session });
+    }
+
     // تحديث حالة التذكرة
     ticket.status = 'cancelled';
     ticket.cancelledAt = new Date();
     await ticket.save({ session });
 
+    // الاسترداد حسب سياسة الفعالية (للتذاكر المدفوعة فقط)
+    let refund = null;
+    const refundable = getRefundableAmount(ticket);
+    if (event && refundable > 0) {
+      const refundAmount = Math.min(refundable, event.calculateRefund(refundable, ticket.cancelledAt));
+      if (refundAmount > 0) {
+        refund = await issueRefund({
+          ticket,
+          amount: refundAmount,
+          reason: 'Ticket cancelled by user',
+          type: 'policy',
+          session
+        });
+      }
+    }
+
     await session.commitTransaction();
     session.endSession();
 
+    // بعد التأكيد: فشل مزود الدفع لا يلغي نتيجة الإلغاء
+    if (wasPending && ticket.payment.intentId) {
+      try {
+        await getPaymentProvider(ticket.payment.provider).cancelPaymentIntent(ticket.payment.intentId);
+      } catch (error) {
+        console.error('Cancel payment intent error:', error.message);
+      }
+    }
+    if (waitlistOffers.length > 0) {
+      await notifyWaitlistOffers(event, waitlistOffers);
+    }
+
     res.json({
       message: 'Ticket cancelled successfully',
-      ticketId: ticket._id
+      ticketId: ticket._id,
+      cancelledTicketIds,
+      refund: refund ? { _id: refund._id, amount: refund.amount, status: refund.status } : null
     });
 
   } catch (error) {
-    await session.abortTransaction();
+    // The transaction may already be committed when a later step fails
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     session.endSession();
     
     console.error('Cancel ticket error:', error);
@@ -205,6 +410,306 @@ router.post('/cancel/:ticketId', protect, async (req, res) => {
   }
 });
 
+// @desc    Issue a manual refund for a ticket
+// @route   POST /api/tickets/:ticketId/refund
+// @access  Private/Admin
+router.post('/:ticketId/refund', protect, authorize('admin'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { reason = '' } = req.body;
+
+    const ticket = await Ticket.findById(req.params.ticketId).session(session);
+    if (!ticket) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const refundable = getRefundableAmount(ticket);
+    if (refundable <= 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Ticket has no refundable payment' });
+    }
+
+    // بدون مبلغ محدد يتم استرداد كامل المبلغ المتبقي
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+    if (!Number.isFinite(amount)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Refund amount must be a number' });
+    }
+
+    const refund = await issueRefund({
+      ticket,
+      amount,
+      reason,
+      type: 'manual',
+      issuedBy: req.user.id,
+      session
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      message: 'Refund issued successfully',
+      refund,
+      refundedAmount: ticket.refundedAmount
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Manual refund error:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ticket ID' });
+    }
+    res.status(500).json({ message: 'Server error while issuing refund' });
+  }
+});
+
+// @desc    Transfer a ticket to someone else by email (they must accept it)
+// @route   POST /api/tickets/:ticketId/transfer
+// @access  Private
+router.post('/:ticketId/transfer', protect, async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.ticketId);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    if (ticket.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to transfer this ticket' });
+    }
+
+    const transfer = await initiateTransfer({
+      ticket,
+      fromUser: { _id: req.user.id, name: req.user.name, email: req.user.email },
+      email: req.body.email
+    });
+
+    res.status(201).json({ message: 'Transfer sent, waiting for the recipient to accept', transfer });
+  } catch (error) {
+    console.error('Initiate transfer error:', error);
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This ticket already has a pending transfer' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ticket ID' });
+    }
+    res.status(500).json({ message: 'Server error while transferring ticket' });
+  }
+});
+
+// @desc    Get transfer history of a ticket
+// @route   GET /api/tickets/:ticketId/transfers
+// @access  Private (current owner or Admin)
+router.get('/:ticketId/transfers', protect, async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.ticketId).select('user');
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    if (ticket.user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this ticket' });
+    }
+
+    const transfers = await TicketTransfer.find({ ticket: ticket._id })
+      .populate('fromUser', 'name email')
+      .populate('toUser', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ticket ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching transfers' });
+  }
+});
+
+// @desc    Get pending transfers sent to your email
+// @route   GET /api/tickets/transfers/incoming
+// @access  Private
+router.get('/transfers/incoming', protect, async (req, res) => {
+  try {
+    const transfers = await TicketTransfer.find({
+      toEmail: req.user.email.toLowerCase(),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('event', 'title date location')
+      .populate('fromUser', 'name')
+      .populate('ticket', 'seatNumber ticketTypeName')
+      .sort({ createdAt: -1 });
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Get incoming transfers error:', error);
+    res.status(500).json({ message: 'Server error while fetching transfers' });
+  }
+});
+
+// @desc    Accept a ticket transfer (you become the owner and get a new QR code)
+// @route   POST /api/tickets/transfers/:transferId/accept
+// @access  Private
+router.post('/transfers/:transferId/accept', protect, requireVerifiedEmail, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { transfer, ticket } = await acceptTransfer({
+      transferId: req.params.transferId,
+      user: req.user,
+      session
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await notifyTransferSender(transfer);
+
+    const populatedTicket = await Ticket.findById(ticket._id)
+      .populate('event', 'title date location')
+      .populate('user', 'name email');
+
+    res.json({ message: 'Ticket transfer accepted', transfer, ticket: populatedTicket });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    console.error('Accept transfer error:', error);
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+    res.status(500).json({ message: 'Server error while accepting transfer' });
+  }
+});
+
+// @desc    Decline a transfer (recipient) or cancel it (sender)
+// @route   POST /api/tickets/transfers/:transferId/decline
+// @route   POST /api/tickets/transfers/:transferId/cancel
+// @access  Private
+const closeTransferHandler = (status) => async (req, res) => {
+  try {
+    const transfer = await TicketTransfer.findById(req.params.transferId);
+
+    const isRecipient = transfer && transfer.toEmail === req.user.email.toLowerCase();
+    const isSender = transfer && transfer.fromUser.toString() === req.user.id.toString();
+    if (!transfer || (status === 'declined' ? !isRecipient : !isSender)) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ message: `Transfer is already ${transfer.status}` });
+    }
+
+    transfer.status = status;
+    transfer.respondedAt = new Date();
+    await transfer.save();
+
+    if (status === 'declined') {
+      await notifyTransferSender(transfer);
+    }
+
+    res.json({ message: `Ticket transfer ${status}`, transfer });
+  } catch (error) {
+    console.error('Close transfer error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating transfer' });
+  }
+};
+
+router.post('/transfers/:transferId/decline', protect, closeTransferHandler('declined'));
+router.post('/transfers/:transferId/cancel', protect, closeTransferHandler('cancelled'));
+
+// @desc    Create (or rotate) your private calendar subscription URL
+// @route   POST /api/tickets/calendar-feed
+// @access  Private
+router.post('/calendar-feed', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const token = user.createCalendarFeedToken();
+    await user.save();
+
+    // الرابط السابق (إن وجد) يتوقف عن العمل
+    res.status(201).json({
+      message: 'Calendar feed created, keep this URL private',
+      url: `${req.protocol}://${req.get('host')}/api/tickets/calendar/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while creating calendar feed' });
+  }
+});
+
+// @desc    Revoke your calendar subscription URL
+// @route   DELETE /api/tickets/calendar-feed
+// @access  Private
+router.delete('/calendar-feed', protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedTokenHash: 1 } });
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while revoking calendar feed' });
+  }
+});
+
+// @desc    Private iCalendar feed of your tickets (subscribe from Google/Outlook)
+// @route   GET /api/tickets/calendar/:token.ics
+// @access  Public (secret token in the URL)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findByCalendarFeedToken(req.params.token).select('name');
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const tickets = await Ticket.find({ user: user._id, status: { $ne: 'cancelled' } })
+      .populate('event', '-seats')
+      .sort({ createdAt: 1 });
+
+    const entries = tickets
+      .filter(ticket => ticket.event)
+      .map(ticket => eventToIcsEntry(ticket.event, {
+        uid: `ticket-${ticket._id}@eventx`,
+        summary: `${ticket.event.title} (seat ${ticket.seatNumber})`,
+        // التذاكر بانتظار الدفع تظهر كمبدئية
+        status: !ticket.event.isActive ? 'CANCELLED' : ticket.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+      }));
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.send(buildCalendar({ name: `${user.name} - EventX tickets`, entries }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while generating calendar feed' });
+  }
+});
+
 // @desc    Get ticket by ID
 // @route   GET /api/tickets/:ticketId
 // @access  Private
@@ -221,7 +726,7 @@ router.get('/:ticketId', protect, async (req, res) => {
     }
 
     // التحقق من أن المستخدم يملك التذكرة أو هو admin
-    if (ticket.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if ((!ticket.user || ticket.user._id.toString() !== req.user.id.toString()) && req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Not authorized to view this ticket' });
     }
 
@@ -236,32 +741,73 @@ router.get('/:ticketId', protect, async (req, res) => {
   }
 });
 
+// رسائل رفض رمز QR
+const QR_REJECTION_MESSAGES = {
+  malformed: 'Invalid QR code',
+  unknown_key: 'QR code was signed with an unknown or retired key',
+  bad_signature: 'QR code signature is invalid',
+  mismatch: 'QR code does not match the ticket',
+  wrong_event: 'Ticket is for a different event'
+};
+
+const rejectQr = (res, reason, status = 400) => {
+  return res.status(status).json({ valid: false, reason, message: QR_REJECTION_MESSAGES[reason] });
+};
+
 // @desc    Verify ticket by QR code
 // @route   POST /api/tickets/verify
-// @access  Private/Admin
-router.post('/verify', protect, async (req, res) => {
+// @access  Private/Admin, Organizer (own events), Staff (assigned events)
+router.post('/verify', protect, authorize('admin', 'organizer', 'staff'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    const { qrData } = req.body;
+    // eventId: الفعالية التي يتم المسح عندها (اختياري)
+    const { qrData, eventId, deviceId, gate } = req.body;
 
     if (!qrData) {
       return res.status(400).json({ message: 'QR data is required' });
     }
 
-    const ticketInfo = JSON.parse(qrData);
+    const result = verifyTicketPayload(qrData);
+    if (!result.valid) {
+      return rejectQr(res, result.reason);
+    }
+
+    const ticketInfo = result.payload;
+    if (eventId && ticketInfo.eventId !== eventId.toString()) {
+      return rejectQr(res, 'wrong_event');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(ticketInfo.ticketId)) {
+      return rejectQr(res, 'malformed');
+    }
+
     const ticket = await Ticket.findById(ticketInfo.ticketId)
-      .populate('event', 'title date location')
+      .populate('event', 'title date location createdBy staff')
       .populate('user', 'name email');
 
     if (!ticket) {
-      return res.status(404).json({ message: 'Ticket not found' });
+      return res.status(404).json({ valid: false, reason: 'not_found', message: 'Ticket not found' });
+    }
+
+    if (!hasEventPermission(req.user, ticket.event, 'checkin')) {
+      return res.status(403).json({ message: 'Not authorized to check in tickets for this event' });
+    }
+
+    // يجب أن تطابق بيانات الرمز الموقّع التذكرة المخزنة (والرمز الأحدث الصادر لها)
+    if (
+      (ticket.qrPayload && ticket.qrPayload !== qrData.trim()) ||
+      !ticket.event ||
+      ticket.event._id.toString() !== ticketInfo.eventId ||
+      ticket.seatNumber !== ticketInfo.seatNumber ||
+      !ticket.user ||
+      ticket.user._id.toString() !== ticketInfo.userId
+    ) {
+      return rejectQr(res, 'mismatch');
     }
 
     if (ticket.status !== 'booked') {
       return res.status(400).json({ 
+        valid: false,
+        reason: ticket.status,
         message: `Ticket is ${ticket.status}`,
         status: ticket.status
       });
@@ -270,6 +816,8 @@ router.post('/verify', protect, async (req, res) => {
     // تحديث حالة التذكرة إلى checked-in
     ticket.status = 'checked-in';
     ticket.checkedInAt = new Date();
+    ticket.checkInDevice = deviceId;
+    ticket.checkInGate = gate;
     await ticket.save();
 
     res.json({
@@ -284,4 +832,181 @@ router.post('/verify', protect, async (req, res) => {
   }
 });
 
+// @desc    Public key for verifying check-in manifest signatures on scanner devices
+// @route   GET /api/tickets/checkin/manifest-key
+// @access  Public
+router.get('/checkin/manifest-key', (req, res) => {
+  try {
+    res.json(getManifestPublicKey());
+  } catch (error) {
+    console.error('Manifest key error:', error);
+    res.status(500).json({ message: 'Server error while loading manifest key' });
+  }
+});
+
+// @desc    Download check-in manifest for an offline scanner device
+// @route   GET /api/tickets/checkin/:eventId/manifest
+// @access  Private/Admin, Organizer (own events), Staff (assigned events)
+router.get('/checkin/:eventId/manifest', protect, authorizeEvent('checkin', 'eventId'), async (req, res) => {
+  try {
+    const { event } = req;
+
+    const tickets = await Ticket.find({
+      event: event._id,
+      status: { $in: ['booked', 'checked-in', 'cancelled'] }
+    })
+      .select('seatNumber status qrPayload checkedInAt user')
+      .populate('user', 'name')
+      .lean();
+
+    // الجهاز يقارن hash الرمز الممسوح مع القائمة بدون الحاجة لمفتاح التوقيع
+    const entries = tickets.map(ticket => ({
+      ticketId: ticket._id,
+      seatNumber: ticket.seatNumber,
+      status: ticket.status,
+      holderName: ticket.user ? ticket.user.name : null,
+      qrHash: ticket.qrPayload ? hashTicketPayload(ticket.qrPayload) : null,
+      checkedInAt: ticket.checkedInAt || null
+    }));
+
+    const manifest = {
+      eventId: event._id,
+      eventTitle: event.title,
+      deviceId: req.query.deviceId || null,
+      generatedAt: new Date().toISOString(),
+      entries
+    };
+
+    res.json({ ...manifest, ...signManifest(manifest) });
+  } catch (error) {
+    console.error('Check-in manifest error:', error);
+    res.status(500).json({ message: 'Server error while building check-in manifest' });
+  }
+});
+
+// @desc    Upload scans recorded offline by a scanner device
+// @route   POST /api/tickets/checkin/:eventId/sync
+// @access  Private/Admin, Organizer (own events), Staff (assigned events)
+router.post('/checkin/:eventId/sync', protect, authorizeEvent('checkin', 'eventId'), async (req, res) => {
+  try {
+    const { deviceId, scans } = req.body;
+    if (!deviceId || !Array.isArray(scans)) {
+      return res.status(400).json({ message: 'Device ID and scans array are required' });
+    }
+
+    const { event } = req;
+    const eventId = event._id.toString();
+
+    // التحقق من كل عملية مسح قبل الوصول لقاعدة البيانات
+    const results = scans.map((scan, index) => {
+      if (!scan || typeof scan !== 'object' || Array.isArray(scan)) {
+        return { index, gate: null, scannedAt: null, result: 'invalid', reason: 'malformed', message: 'Scan must be an object' };
+      }
+
+      const base = { index, gate: null, scannedAt: scan.scannedAt ?? null };
+
+      if (scan.gate !== undefined && scan.gate !== null && typeof scan.gate !== 'string') {
+        return { ...base, result: 'invalid', reason: 'malformed', message: 'Invalid gate' };
+      }
+      base.gate = scan.gate || null;
+
+      // new Date(null) would be 1970, so only strings and timestamps are accepted
+      const scannedAt = ['string', 'number'].includes(typeof scan.scannedAt) ? new Date(scan.scannedAt) : null;
+      if (!scannedAt || Number.isNaN(scannedAt.getTime())) {
+        return { ...base, result: 'invalid', reason: 'malformed', message: 'Invalid scan time' };
+      }
+
+      const verification = verifyTicketPayload(scan.qrData);
+      if (!verification.valid) {
+        return { ...base, result: 'invalid', reason: verification.reason, message: QR_REJECTION_MESSAGES[verification.reason] };
+      }
+
+      const { payload } = verification;
+      if (payload.eventId !== eventId) {
+        return { ...base, result: 'invalid', reason: 'wrong_event', message: QR_REJECTION_MESSAGES.wrong_event };
+      }
+      if (!mongoose.Types.ObjectId.isValid(payload.ticketId)) {
+        return { ...base, result: 'invalid', reason: 'malformed', message: QR_REJECTION_MESSAGES.malformed };
+      }
+
+      return { ...base, ticketId: payload.ticketId, scanTime: scannedAt, qrData: scan.qrData.trim() };
+    });
+
+    const pending = results.filter(r => !r.result);
+    const tickets = await Ticket.find({
+      _id: { $in: [...new Set(pending.map(r => r.ticketId))] },
+      event: event._id
+    });
+    const ticketsById = new Map(tickets.map(t => [t._id.toString(), t]));
+
+    // أقدم عملية مسح لكل تذكرة هي التي تُعتمد
+    pending.sort((a, b) => a.scanTime - b.scanTime);
+
+    for (const scan of pending) {
+      let ticket = ticketsById.get(scan.ticketId);
+
+      if (!ticket) {
+        Object.assign(scan, { result: 'invalid', reason: 'not_found', message: 'Ticket not found' });
+        continue;
+      }
+
+      if (ticket.qrPayload && ticket.qrPayload !== scan.qrData) {
+        Object.assign(scan, { result: 'invalid', reason: 'mismatch', message: QR_REJECTION_MESSAGES.mismatch });
+        continue;
+      }
+
+      if (ticket.status === 'booked') {
+        // تحديث مشروط لتجنب التعارض مع التحقق المباشر من بوابة أخرى
+        const update = await Ticket.updateOne(
+          { _id: ticket._id, status: 'booked' },
+          { status: 'checked-in', checkedInAt: scan.scanTime, checkInDevice: deviceId, checkInGate: scan.gate }
+        );
+
+        if (update.modifiedCount === 1) {
+          ticket.set({
+            status: 'checked-in',
+            checkedInAt: scan.scanTime,
+            checkInDevice: deviceId,
+            checkInGate: scan.gate
+          });
+          scan.result = 'checked-in';
+          continue;
+        }
+
+        ticket = await Ticket.findById(ticket._id);
+        ticketsById.set(scan.ticketId, ticket);
+      }
+
+      if (ticket.status === 'checked-in') {
+        const sameGate = ticket.checkInDevice === deviceId && (ticket.checkInGate || null) === scan.gate;
+        scan.result = sameGate ? 'duplicate' : 'conflict';
+        scan.firstCheckIn = {
+          checkedInAt: ticket.checkedInAt,
+          deviceId: ticket.checkInDevice || null,
+          gate: ticket.checkInGate || null
+        };
+        continue;
+      }
+
+      Object.assign(scan, { result: 'rejected', reason: ticket.status, message: `Ticket is ${ticket.status}` });
+    }
+
+    const summary = { total: results.length, 'checked-in': 0, duplicate: 0, conflict: 0, invalid: 0, rejected: 0 };
+    results.forEach(r => { summary[r.result] += 1; });
+
+    res.json({
+      deviceId,
+      syncedAt: new Date().toISOString(),
+      summary,
+      results: results
+        .sort((a, b) => a.index - b.index)
+        .map(({ scanTime, qrData, ...result }) => result),
+      conflicts: results.filter(r => r.result === 'conflict').map(({ scanTime, qrData, ...result }) => result)
+    });
+  } catch (error) {
+    console.error('Check-in sync error:', error);
+    res.status(500).json({ message: 'Server error while syncing check-ins' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,143 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const Venue = require('../models/Venue');
+const { geocodeDocument } = require('../services/geocoding');
+const router = express.Router();
+
+// Only admins or the organizer who created a venue may change it
+const canManageVenue = (user, venue) =>
+  user.role === 'admin' || venue.createdBy.toString() === user.id.toString();
+
+// @desc    Get all active venues
+// @route   GET /api/venues
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const venues = await Venue.find({ isActive: true })
+      .select('name address geo layout createdBy')
+      .sort({ name: 1 });
+
+    res.json(venues);
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({ message: 'Server error while fetching venues' });
+  }
+});
+
+// @desc    Get a venue with its layout and a preview of the generated seats
+// @route   GET /api/venues/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!venue || !venue.isActive) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({ venue, seats: venue.generateSeats() });
+  } catch (error) {
+    console.error('Get venue error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid venue ID format' });
+    }
+    res.status(500).json({ message: 'Server error while fetching venue' });
+  }
+});
+
+// @desc    Create a venue layout (coordinates are geocoded from the address unless given)
+// @route   POST /api/venues
+// @access  Private/Admin, Organizer
+router.post('/', protect, authorize('admin', 'organizer'), async (req, res) => {
+  try {
+    const { name, address, geo, layout } = req.body;
+
+    const venue = new Venue({
+      name,
+      address,
+      geo,
+      layout,
+      createdBy: req.user.id
+    });
+
+    await geocodeDocument(venue);
+    await venue.save();
+
+    res.status(201).json(venue);
+  } catch (error) {
+    console.error('Create venue error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    res.status(500).json({ message: 'Server error while creating venue' });
+  }
+});
+
+// @desc    Update a venue layout (existing events keep the seats they were created with)
+// @route   PUT /api/venues/:id
+// @access  Private/Admin, Organizer (own venues)
+router.put('/:id', protect, authorize('admin', 'organizer'), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue || !venue.isActive) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (!canManageVenue(req.user, venue)) {
+      return res.status(403).json({ message: 'Not authorized to update this venue' });
+    }
+
+    const { name, address, geo, layout } = req.body;
+    if (name !== undefined) venue.name = name;
+    if (address !== undefined) venue.address = address;
+    if (geo !== undefined) venue.geo = geo;
+    if (layout !== undefined) venue.layout = layout;
+
+    await geocodeDocument(venue);
+    await venue.save();
+
+    res.json(venue);
+  } catch (error) {
+    console.error('Update venue error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid venue ID format' });
+    }
+    res.status(500).json({ message: 'Server error while updating venue' });
+  }
+});
+
+// @desc    Delete a venue (soft delete)
+// @route   DELETE /api/venues/:id
+// @access  Private/Admin, Organizer (own venues)
+router.delete('/:id', protect, authorize('admin', 'organizer'), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue || !venue.isActive) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (!canManageVenue(req.user, venue)) {
+      return res.status(403).json({ message: 'Not authorized to delete this venue' });
+    }
+
+    venue.isActive = false;
+    await venue.save();
+
+    res.json({ message: 'Venue deleted successfully' });
+  } catch (error) {
+    console.error('Delete venue error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid venue ID format' });
+    }
+    res.status(500).json({ message: 'Server error while deleting venue' });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,34 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { assertProductionConfig } = require('./utils/config');
+const { getRateLimitStore } = require('./services/rateLimit');
+
+// رفض التشغيل في الإنتاج بإعدادات التطوير الافتراضية
+assertProductionConfig();
+
+// Resolve the rate limit store once, so an unknown or unwired RATE_LIMIT_STORE
+// stops startup instead of failing every request. A Redis store is registered
+// with setRateLimitStore before this line.
+getRateLimitStore();
 
 // استيراد جميع المسارات
 const authRoutes = require('./routes/authRoutes');
 const eventRoutes = require('./routes/events');
 const ticketRoutes = require('./routes/tickets');
 const analyticsRoutes = require('./routes/analytics');
+const paymentRoutes = require('./routes/payments');
+const venueRoutes = require('./routes/venues');
+const promoCodeRoutes = require('./routes/promoCodes');
+const eventSeriesRoutes = require('./routes/eventSeries');
+const jobRoutes = require('./routes/jobs');
+const { startSeatHoldSweeper, stopSeatHoldSweeper } = require('./jobs/seatHoldSweeper');
 
 const app = express();
 
+// خلف proxy (Vercel) حتى يكون req.ip هو عنوان العميل الحقيقي لتحديد المعدل
+app.set('trust proxy', 1);
+
 // CORS Configuration
 app.use(cors({
   origin: [
@@ -25,7 +44,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // الاحتفاظ بالنص الخام للتحقق من توقيع webhooks الدفع
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB Connection
@@ -36,6 +61,9 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB Connected Successfully');
   console.log(`📊 Database: ${mongoose.connection.name}`);
+
+  // تحرير المقاعد المحجوزة مؤقتاً بعد انتهاء مدتها
+  startSeatHoldSweeper();
 })
 .catch((err) => {
   console.error('❌ MongoDB Connection Error:', err.message);
@@ -60,6 +88,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/event-series', eventSeriesRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -88,7 +121,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       events: '/api/events',
       tickets: '/api/tickets',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      payments: '/api/payments',
+      venues: '/api/venues',
+      promoCodes: '/api/promo-codes',
+      eventSeries: '/api/event-series',
+      jobs: '/api/jobs'
     }
   });
 });
@@ -102,30 +140,94 @@ app.get('/api/docs', (req, res) => {
     baseURL: process.env.CLIENT_URL || 'http://localhost:5000',
     endpoints: {
       auth: {
-        'POST /register': 'Register new user',
-        'POST /login': 'User login',
-        'GET /profile': 'Get user profile'
+        'POST /register': 'Register new user (inviteToken grants an elevated role)',
+        'POST /login': 'User login (returns access and refresh tokens)',
+        'POST /refresh': 'Rotate refresh token and get a new access token',
+        'POST /logout': 'Log out current session',
+        'POST /logout-all': 'Log out from all devices',
+        'PUT /password': 'Change password (ends other sessions)',
+        'POST /verify-email': 'Confirm email address',
+        'POST /resend-verification': 'Resend email verification link',
+        'POST /forgot-password': 'Request password reset link',
+        'POST /reset-password': 'Reset password with token',
+        'GET /profile': 'Get user profile',
+        'POST /invites': 'Create one-time role invite (Admin only)',
+        'GET /invites': 'List invites (Admin only)',
+        'GET /users': 'List and search users, paginated (Admin only)',
+        'PUT /users/:id/role': 'Change user role (Admin only)',
+        'PUT /users/:id/status': 'Activate or deactivate user (Admin only)'
       },
       events: {
-        'GET /': 'Get all events with filtering',
-        'GET /:id': 'Get single event',
-        'POST /': 'Create event (Admin only)',
-        'PUT /:id': 'Update event (Admin only)',
-        'DELETE /:id': 'Delete event (Admin only)',
-        'GET /:id/seats': 'Get event seating',
-        'POST /:id/reserve-seat': 'Reserve seat',
-        'POST /:id/cancel-seat': 'Cancel reservation'
+        'GET /': 'Get all events with filtering and category facets (?search= full-text by relevance, ?from=&to=, ?minPrice=&maxPrice=, ?location=, ?available=true, ?near=lat,lng&radius=km by distance, ?occurrences=group|expand, ?series=<id>, ?locale= for formatted schedule; ?page= or ?cursor= pagination, ?limit= up to 100, ?sortBy=date|title|price|availableSeats|createdAt|relevance|distance)',
+        'GET /:id': 'Get single event with schedule formatted in its timezone (?locale= or Accept-Language)',
+        'POST /': 'Create event, optionally seated from a venue layout and with ticket types; address is geocoded (Admin, Organizer)',
+        'PUT /:id': 'Update event or a single series occurrence (Admin, owning Organizer; only Admin can set allowTransfers)',
+        'DELETE /:id': 'Delete event (Admin, owning Organizer)',
+        'POST /:id/staff': 'Assign check-in staff (Admin, owning Organizer)',
+        'DELETE /:id/staff/:userId': 'Remove check-in staff (Admin, owning Organizer)',
+        'GET /:id/calendar.ics': 'Download event as iCalendar file',
+        'GET /:id/seats': 'Get event seating with section, row and map coordinates',
+        'GET /:id/best-available': 'Preview best available seats (?quantity=&preference=front|center|together&ticketType=)',
+        'POST /:id/reserve-seat': 'Hold seat for a limited time before booking',
+        'POST /:id/cancel-seat': 'Release a held seat (booked seats are cancelled with POST /api/tickets/cancel/:ticketId)',
+        'POST /:id/waitlist': 'Join waitlist of a sold-out event',
+        'GET /:id/waitlist/me': 'Get your waitlist position or seat offer',
+        'DELETE /:id/waitlist': 'Leave waitlist (an offered seat passes to the next user)',
+        'GET /:id/waitlist': 'Get event waitlist in order (Admin, owning Organizer)'
+      },
+      eventSeries: {
+        'POST /': 'Create recurring event series from an RRULE (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY) (Admin, Organizer)',
+        'GET /:id': 'Get series with upcoming occurrences',
+        'PUT /:id': 'Edit all upcoming occurrences, or this and following with ?fromOccurrence= (Admin, owning Organizer)',
+        'DELETE /:id': 'Cancel all upcoming occurrences, or this and following with ?fromOccurrence=; 409 while any has active tickets (Admin, owning Organizer)'
+      },
+      jobs: {
+        'GET /sweep-holds': 'Expire unpaid tickets and waitlist offers, release expired seat holds (scheduler, Bearer CRON_SECRET)'
+      },
+      venues: {
+        'GET /': 'List venues',
+        'GET /:id': 'Get venue layout with generated seat preview',
+        'POST /': 'Create venue layout with sections, rows, aisles and accessible seats; address is geocoded (Admin, Organizer)',
+        'PUT /:id': 'Update venue layout (Admin, owning Organizer)',
+        'DELETE /:id': 'Delete venue (Admin, owning Organizer)'
       },
       tickets: {
         'GET /my-tickets': 'Get user tickets',
-        'POST /book': 'Book ticket',
-        'POST /cancel/:ticketId': 'Cancel ticket',
-        'GET /:ticketId': 'Get ticket details'
+        'POST /book': 'Book ticket of a ticket type with optional promoCode, verified email required (converts your seat hold into a ticket, paid events return a payment intent)',
+        'POST /orders': 'Book several seats in one all-or-nothing order',
+        'GET /orders/:orderId': 'Get order tickets',
+        'POST /best-available': 'Pick best available seats and book or hold them',
+        'POST /cancel/:ticketId': 'Cancel ticket (refund per event refund policy, freed seat is offered to the waitlist)',
+        'POST /:ticketId/refund': 'Issue manual refund (Admin only)',
+        'POST /:ticketId/transfer': 'Transfer ticket to an email address (recipient must accept)',
+        'GET /:ticketId/transfers': 'Get ticket transfer history (owner, Admin)',
+        'GET /transfers/incoming': 'List pending transfers sent to your email',
+        'POST /transfers/:transferId/accept': 'Accept transfer, ownership moves to you and a new QR is issued',
+        'POST /transfers/:transferId/decline': 'Decline transfer (recipient)',
+        'POST /transfers/:transferId/cancel': 'Cancel transfer (sender)',
+        'POST /calendar-feed': 'Create or rotate private calendar subscription URL',
+        'DELETE /calendar-feed': 'Revoke calendar subscription URL',
+        'GET /calendar/:token.ics': 'Private iCalendar feed of your non-cancelled tickets',
+        'GET /:ticketId': 'Get ticket details',
+        'POST /verify': 'Verify signed ticket QR and check in (Admin, Organizer, assigned Staff)',
+        'GET /checkin/manifest-key': 'Get the Ed25519 public key that verifies check-in manifests',
+        'GET /checkin/:eventId/manifest': 'Download offline check-in manifest signed with Ed25519 (Admin, Organizer, assigned Staff)',
+        'POST /checkin/:eventId/sync': 'Upload offline scans and report conflicts (Admin, Organizer, assigned Staff)'
       },
       analytics: {
-        'GET /dashboard': 'Dashboard statistics (Admin only)',
-        'GET /events/:id': 'Event analytics (Admin only)',
-        'GET /export/:eventId?': 'Export tickets (Admin only)'
+        'GET /dashboard': 'Dashboard statistics with revenue by ticket type (Admin only)',
+        'GET /events/:id': 'Event analytics (Admin, owning Organizer)',
+        'GET /promo-codes': 'Promo code redemptions, discounts and revenue, ?eventId= (Admin only)',
+        'GET /export/:eventId?': 'Export tickets as CSV or XLSX, ?format=csv|xlsx (Admin, Organizer for own events)'
+      },
+      promoCodes: {
+        'GET /': 'List promo codes (Admin only)',
+        'POST /': 'Create percentage or fixed promo code with limits, validity window and event/category restrictions (Admin only)',
+        'PUT /:id': 'Update promo code (Admin only)',
+        'DELETE /:id': 'Deactivate promo code (Admin only)'
+      },
+      payments: {
+        'POST /webhook/:provider?': 'Payment provider webhook (confirms or fails pending tickets)'
       }
     }
   });
@@ -151,10 +253,15 @@ app.use((err, req, res, next) => {
 // 404 handler
 app.use('*', (req, res) => {
   const availableEndpoints = [
-    { path: '/api/auth', methods: ['GET', 'POST'] },
+    { path: '/api/auth', methods: ['GET', 'POST', 'PUT'] },
     { path: '/api/events', methods: ['GET', 'POST', 'PUT', 'DELETE'] },
-    { path: '/api/tickets', methods: ['GET', 'POST'] },
+    { path: '/api/tickets', methods: ['GET', 'POST', 'DELETE'] },
     { path: '/api/analytics', methods: ['GET'] },
+    { path: '/api/payments', methods: ['POST'] },
+    { path: '/api/venues', methods: ['GET', 'POST', 'PUT', 'DELETE'] },
+    { path: '/api/promo-codes', methods: ['GET', 'POST', 'PUT', 'DELETE'] },
+    { path: '/api/event-series', methods: ['GET', 'POST', 'PUT', 'DELETE'] },
+    { path: '/api/jobs', methods: ['GET'] },
     { path: '/api/health', methods: ['GET'] },
     { path: '/api/docs', methods: ['GET'] }
   ];
@@ -184,6 +291,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+  stopSeatHoldSweeper();
   
   // Stop accepting new connections
   server.close(async () => {
@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const PromoCode = require('../models/PromoCode');
+const { issueTicketQr } = require('../utils/ticketQr');
+const { getPaymentProvider, PAYMENT_CURRENCY } = require('./payments');
+const { markWaitlistClaimed } = require('./waitlist');
+
+const createBookingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Concurrent bookings of one event both write its document, so the later transaction
+// fails with a write conflict; callers answer it with a 409 so the client can retry
+const isBookingConflict = (error) => Boolean(error) && (
+  error.code === 112 ||
+  error.codeName === 'WriteConflict' ||
+  (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'))
+);
+
+const SEAT_PREFERENCES = ['front', 'center', 'together'];
+
+// Ticket statuses that count against quotas and limits (cancelled tickets free them up)
+const ACTIVE_TICKET_STATUSES = ['pending', 'booked', 'checked-in'];
+
+// Pick the ticket type of a booking. Events without ticket types sell at `event.price`.
+// When `required` is set and the client sent none, the only type on sale is used.
+const resolveTicketType = (event, ref, { required = true } = {}) => {
+  if (event.ticketTypes.length === 0) {
+    if (ref) {
+      throw createBookingError('This event does not have ticket types');
+    }
+    return null;
+  }
+
+  if (!ref) {
+    if (!required) return null;
+
+    const onSale = event.ticketTypes.filter(type => type.isOnSale);
+    if (onSale.length !== 1) {
+      throw createBookingError('Ticket type is required');
+    }
+    return onSale[0];
+  }
+
+  const ticketType = event.findTicketType(ref);
+  if (!ticketType || !ticketType.isActive) {
+    throw createBookingError('Ticket type not found', 404);
+  }
+
+  if (!ticketType.isOnSale) {
+    throw createBookingError(ticketType.salesStart && ticketType.salesStart > new Date()
+      ? `Sales for ${ticketType.name} tickets have not started yet`
+      : `Sales for ${ticketType.name} tickets have ended`);
+  }
+
+  return ticketType;
+};
+
+// Resolve the seats of a booking request: either explicit seatNumbers, or
+// bestAvailable = { quantity, preference } picked from the event's seat map
+const resolveSeatNumbers = (event, { seatNumbers, bestAvailable, userId, ticketType }) => {
+  const sections = ticketType ? ticketType.sections : [];
+
+  if (!bestAvailable) {
+    // منطقة السعر: نوع التذكرة صالح لأقسام معينة فقط
+    if (sections.length > 0) {
+      seatNumbers.forEach(seatNumber => {
+        const seat = event.seats.find(s => s.seatNumber === seatNumber);
+        if (seat && !sections.includes(seat.section)) {
+          throw createBookingError(`Seat ${seatNumber} is not available for ${ticketType.name} tickets`);
+        }
+      });
+    }
+    return seatNumbers;
+  }
+
+  const quantity = parseInt(bestAvailable.quantity, 10);
+  const preference = bestAvailable.preference || 'center';
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw createBookingError('Quantity must be a positive number');
+  }
+  if (!SEAT_PREFERENCES.includes(preference)) {
+    throw createBookingError(`Preference must be one of: ${SEAT_PREFERENCES.join(', ')}`);
+  }
+
+  const selected = event.findBestAvailableSeats(quantity, preference, userId, sections);
+  if (!selected) {
+    throw createBookingError(preference === 'together'
+      ? `No ${quantity} adjacent seats available`
+      : `Not enough seats available`);
+  }
+  return selected;
+};
+
+// maxTicketsPerUser counts the user's active tickets plus the seats they hold
+// without a ticket yet (paid orders hold the seats of their pending tickets, and
+// seats of this request that the user already holds are being renewed or booked).
+const assertWithinTicketLimit = async ({ event, userId, seatNumbers, session }) => {
+  const tickets = await Ticket.find({
+    event: event._id,
+    user: userId,
+    status: { $in: ACTIVE_TICKET_STATUSES }
+  }).select('seatNumber status').session(session);
+
+  const counted = new Set([
+    ...seatNumbers,
+    ...tickets.filter(ticket => ticket.status === 'pending').map(ticket => ticket.seatNumber)
+  ]);
+  const heldSeats = event.seats.filter(seat => (
+    seat.isHeld &&
+    seat.heldBy.toString() === userId.toString() &&
+    !counted.has(seat.seatNumber)
+  )).length;
+
+  const owned = tickets.length + heldSeats;
+  if (owned + seatNumbers.length > event.maxTicketsPerUser) {
+    throw createBookingError(
+      `You can book at most ${event.maxTicketsPerUser} tickets for this event (you already have ${owned} tickets or held seats)`
+    );
+  }
+};
+
+// Shared checks before booking or holding seats; returns the loaded event,
+// the seat numbers and the ticket type (null for single-price events)
+const prepareBooking = async ({ eventId, seatNumbers, bestAvailable, ticketType: ticketTypeRef, userId, session }, { requireTicketType = true } = {}) => {
+  if (!eventId || (!bestAvailable && (!Array.isArray(seatNumbers) || seatNumbers.length === 0))) {
+    throw createBookingError('Event ID and at least one seat number are required');
+  }
+
+  if (!bestAvailable && new Set(seatNumbers).size !== seatNumbers.length) {
+    throw createBookingError('Duplicate seat numbers in order');
+  }
+
+  // التحقق من وجود الفعالية
+  const event = await Event.findById(eventId).session(session);
+  if (!event || !event.isActive) {
+    throw createBookingError('Event not found or not active', 404);
+  }
+
+  // التحقق من أن الفعالية لم تبدأ بعد
+  if (event.hasStarted()) {
+    throw createBookingError('Event has already occurred');
+  }
+
+  const ticketType = resolveTicketType(event, ticketTypeRef, { required: requireTicketType });
+  const selectedSeats = resolveSeatNumbers(event, { seatNumbers, bestAvailable, userId, ticketType });
+
+  // الحد الأقصى للتذاكر لكل مستخدم في هذه الفعالية
+  await assertWithinTicketLimit({ event, userId, seatNumbers: selectedSeats, session });
+
+  // التحقق من أن المستخدم لم يحجز هذه المقاعد مسبقاً
+  const existingTicket = await Ticket.findOne({
+    event: event._id,
+    user: userId,
+    seatNumber: { $in: selectedSeats },
+    status: { $in: ['booked', 'pending'] }
+  }).session(session);
+
+  if (existingTicket) {
+    throw createBookingError(`You already booked seat ${existingTicket.seatNumber}`);
+  }
+
+  // حصة نوع التذكرة (تشمل الطلبات المعلقة بانتظار الدفع)
+  if (ticketType && ticketType.quota) {
+    const typeTickets = await Ticket.countDocuments({
+      event: event._id,
+      ticketType: ticketType._id,
+      status: { $in: ACTIVE_TICKET_STATUSES }
+    }).session(session);
+
+    const remaining = Math.max(ticketType.quota - typeTickets, 0);
+    if (selectedSeats.length > remaining) {
+      throw createBookingError(remaining === 0
+        ? `${ticketType.name} tickets are sold out`
+        : `Only ${remaining} ${ticketType.name} tickets left`);
+    }
+  }
+
+  return { event, seatNumbers: selectedSeats, ticketType };
+};
+
+// Number of orders placed with a promo code that are still active
+const countRedemptions = async (filter, session) => {
+  const orderIds = await Ticket.distinct('orderId', {
+    ...filter,
+    status: { $in: ACTIVE_TICKET_STATUSES }
+  }).session(session);
+  return orderIds.length;
+};
+
+// Validate a promo code for an event and user
+const redeemPromoCode = async ({ code, event, userId, session }) => {
+  const promoCode = await PromoCode.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+
+  if (!promoCode || !promoCode.isCurrentlyValid) {
+    throw createBookingError('Invalid or expired promo code');
+  }
+
+  if (!promoCode.appliesTo(event)) {
+    throw createBookingError('Promo code is not valid for this event');
+  }
+
+  if (promoCode.maxRedemptions &&
+      await countRedemptions({ promoCode: promoCode._id }, session) >= promoCode.maxRedemptions) {
+    throw createBookingError('Promo code has reached its usage limit');
+  }
+
+  if (await countRedemptions({ promoCode: promoCode._id, user: userId }, session) >= promoCode.maxRedemptionsPerUser) {
+    throw createBookingError('You have already used this promo code');
+  }
+
+  // الكتابة على المستند داخل المعاملة تمنع تجاوز الحد عند الطلبات المتزامنة
+  await PromoCode.updateOne({ _id: promoCode._id }, { $set: { lastRedeemedAt: new Date() } }, { session });
+
+  return promoCode;
+};
+
+// Hold seats (explicit or best available) for a user without creating tickets,
+// all-or-nothing inside the caller's transaction. A ticket type is optional here
+// and only narrows best-available to its price zone.
+const holdSeats = async (options) => {
+  const { event, seatNumbers } = await prepareBooking(options, { requireTicketType: false });
+
+  const seats = seatNumbers.map(seatNumber => event.placeHold(seatNumber, options.userId));
+  await event.save({ session: options.session });
+
+  return { event, seats };
+};
+
+// Book one or more seats of an event for a user, all-or-nothing, inside the
+// caller's transaction. Free events are booked instantly; paid events get
+// pending tickets and seat holds; after committing, the caller passes the returned
+// `payment` to startOrderPayment to create one payment intent for the whole order.
+// Throws errors with a `status` (400/404) for anything the client can fix.
+const bookSeats = async (options) => {
+  const { userId, session } = options;
+  const { event, seatNumbers, ticketType } = await prepareBooking(options);
+
+  const orderId = new mongoose.Types.ObjectId();
+  const originalPrice = ticketType ? ticketType.price : event.price;
+
+  let promoCode = null;
+  let discount = 0;
+  if (options.promoCode) {
+    if (originalPrice === 0) {
+      throw createBookingError('Promo codes cannot be applied to free tickets');
+    }
+    promoCode = await redeemPromoCode({ code: options.promoCode, event, userId, session });
+    discount = promoCode.calculateDiscount(originalPrice);
+  }
+
+  const price = Math.round((originalPrice - discount) * 100) / 100;
+  const isPaid = price > 0;
+
+  // أي مقعد غير متاح يُفشل الطلب كاملاً (يتم التراجع عن المعاملة)
+  const seats = seatNumbers.map(seatNumber => (
+    isPaid ? event.placeHold(seatNumber, userId) : event.claimSeat(seatNumber, userId)
+  ));
+
+  const tickets = seats.map(seat => new Ticket({
+    event: event._id,
+    user: userId,
+    orderId,
+    seatNumber: seat.seatNumber,
+    ticketType: ticketType ? ticketType._id : undefined,
+    ticketTypeName: ticketType ? ticketType.name : undefined,
+    originalPrice,
+    discount,
+    promoCode: promoCode ? promoCode._id : undefined,
+    promoCodeName: promoCode ? promoCode.code : undefined,
+    price,
+    status: isPaid ? 'pending' : 'booked'
+  }));
+
+  let payment = null;
+
+  if (isPaid) {
+    // الفعاليات المدفوعة: تذاكر معلقة + حجز مؤقت للمقاعد حتى تأكيد الدفع
+    // The payment intent is created by startOrderPayment once this transaction
+    // commits, so a rolled back booking never leaves a live intent behind
+    const provider = getPaymentProvider();
+    const expiresAt = seats[0].holdExpiresAt;
+
+    tickets.forEach(ticket => {
+      ticket.payment = {
+        provider: provider.name,
+        status: 'pending',
+        amount: ticket.price,
+        currency: PAYMENT_CURRENCY,
+        expiresAt
+      };
+    });
+
+    payment = {
+      provider: provider.name,
+      amount: price * tickets.length,
+      currency: PAYMENT_CURRENCY,
+      expiresAt
+    };
+  } else {
+    // توليد QR Code
+    for (const ticket of tickets) {
+      await issueTicketQr(ticket);
+    }
+  }
+
+  for (const ticket of tickets) {
+    await ticket.save({ session });
+  }
+  await event.save({ session });
+
+  // المقاعد المعروضة من قائمة الانتظار أصبحت محجوزة لأصحابها
+  await markWaitlistClaimed(event._id, userId, seatNumbers, session);
+
+  return { orderId, event, tickets, payment };
+};
+
+// Create the payment intent of a committed paid order and attach it to its
+// pending tickets. When the provider fails, the order is cancelled and its seat
+// holds released so the client can book again; throws a 502 error in that case.
+const startOrderPayment = async ({ orderId, event, userId, payment }) => {
+  const provider = getPaymentProvider(payment.provider);
+
+  let intent;
+  try {
+    intent = await provider.createPaymentIntent({
+      amount: payment.amount,
+      currency: payment.currency,
+      metadata: { orderId: orderId.toString(), eventId: event._id.toString() }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error.message);
+    await cancelUnpaidOrder({ orderId, eventId: event._id, userId })
+      .catch(cancelError => console.error('Cancel unpaid order error:', cancelError.message));
+    throw createBookingError('Payment could not be started, please try again', 502);
+  }
+
+  const result = await Ticket.updateMany(
+    { orderId, status: 'pending' },
+    { $set: { 'payment.intentId': intent.id } }
+  );
+
+  // الطلب أُلغي أو انتهت مدته قبل ربط الدفعة
+  if (result.modifiedCount === 0) {
+    await provider.cancelPaymentIntent(intent.id);
+    throw createBookingError('Order is no longer awaiting payment', 409);
+  }
+
+  return { ...payment, intentId: intent.id, clientSecret: intent.clientSecret };
+};
+
+// Cancel the pending tickets of an order that never got a payment intent
+const cancelUnpaidOrder = async ({ orderId, eventId, userId }) => {
+  const tickets = await Ticket.find({ orderId, status: 'pending' }).select('seatNumber');
+  await Ticket.updateMany(
+    { orderId, status: 'pending' },
+    { status: 'cancelled', cancelledAt: new Date(), 'payment.status': 'failed' }
+  );
+
+  const event = await Event.findById(eventId);
+  if (!event) return;
+
+  for (const { seatNumber } of tickets) {
+    const seat = event.seats.find(s => s.seatNumber === seatNumber);
+    if (seat && !seat.isBooked && seat.holdExpiresAt && seat.heldBy.toString() === userId.toString()) {
+      event.removeHold(seatNumber);
+    }
+  }
+  await event.save();
+};
+
+module.exports = {
+  bookSeats,
+  startOrderPayment,
+  holdSeats,
+  assertWithinTicketLimit,
+  resolveTicketType,
+  createBookingError,
+  isBookingConflict,
+  SEAT_PREFERENCES
+};
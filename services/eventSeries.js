@@ -0,0 +1,117 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { expandRecurrence, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { getScheduledStart, isDateOnly } = require('../utils/time');
+
+// Event fields copied from the series to each occurrence
+const SERIES_TEMPLATE_FIELDS = [
+  'title', 'description', 'time', 'timezone', 'durationMinutes', 'location', 'category', 'image', 'price',
+  'totalSeats', 'venue', 'ticketTypes', 'maxTicketsPerUser', 'refundPolicy'
+];
+
+// Fields that can be changed on several occurrences at once; seating and
+// ticket types stay per occurrence because each one has its own bookings
+const SERIES_EDITABLE_FIELDS = [
+  'title', 'description', 'time', 'timezone', 'durationMinutes', 'location', 'category', 'image', 'price',
+  'maxTicketsPerUser', 'refundPolicy'
+];
+
+const createSeriesError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const pickFields = (body, fields) => fields.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Create a series and one event per upcoming occurrence, inside the caller's transaction
+const createSeries = async ({ body, userId, session }) => {
+  const template = pickFields(body, SERIES_TEMPLATE_FIELDS);
+
+  // التكرارات تحسب بالأيام في UTC، لذلك يجب أن يكون تاريخ البداية يوماً فقط
+  if (!isDateOnly(body.startDate)) {
+    throw createSeriesError('Series start date must be a calendar date (YYYY-MM-DD); set the start time in time');
+  }
+
+  // All occurrences are created in one transaction, so longer rules are rejected
+  // instead of being cut short
+  const dates = expandRecurrence(body.rrule, body.startDate, { limit: MAX_OCCURRENCES + 1 });
+  if (dates.length > MAX_OCCURRENCES) {
+    throw createSeriesError(`Recurrence rule produces more than ${MAX_OCCURRENCES} occurrences, limit it with COUNT or UNTIL`);
+  }
+
+  // التكرارات التي بدأت بالفعل لا يتم إنشاؤها
+  const now = new Date();
+  const upcoming = dates.filter(date => getScheduledStart(date, template.time, template.timezone) > now);
+  if (upcoming.length === 0) {
+    throw createSeriesError('Recurrence rule has no upcoming occurrences');
+  }
+
+  const [series] = await EventSeries.create([{
+    title: template.title,
+    rrule: body.rrule,
+    startDate: body.startDate,
+    template,
+    createdBy: userId
+  }], { session });
+
+  const occurrences = [];
+  for (const date of upcoming) {
+    const event = new Event({
+      ...template,
+      date,
+      createdBy: userId,
+      series: series._id,
+      occurrenceDate: date
+    });
+    await event.save({ session });
+    occurrences.push(event);
+  }
+
+  return { series, occurrences };
+};
+
+// Apply an edit to every upcoming occurrence of a series, or only to those from
+// `fromDate` on ("this and following"). Occurrences edited on their own are skipped.
+// Runs inside the caller's transaction and returns the number of updated events.
+const updateSeriesOccurrences = async ({ series, body, fromDate, session }) => {
+  const updates = pickFields(body, SERIES_EDITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw createSeriesError(`Nothing to update, editable fields are: ${SERIES_EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  series.template = { ...series.template, ...updates };
+  if (updates.title) {
+    series.title = updates.title;
+  }
+  series.markModified('template');
+  await series.save({ session });
+
+  const filter = {
+    series: series._id,
+    isActive: true,
+    isSeriesException: false,
+    ...Event.upcomingFilter()
+  };
+  if (fromDate) {
+    filter.occurrenceDate = { $gte: fromDate };
+  }
+
+  const occurrences = await Event.find(filter).session(session);
+  for (const event of occurrences) {
+    event.set(updates);
+    await event.save({ session });
+  }
+
+  return occurrences.length;
+};
+
+module.exports = {
+  SERIES_TEMPLATE_FIELDS,
+  SERIES_EDITABLE_FIELDS,
+  createSeries,
+  updateSeriesOccurrences
+};
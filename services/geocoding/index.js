@@ -0,0 +1,45 @@
+const staticProvider = require('./staticProvider');
+const { formatAddress } = require('../../models/schemas/location');
+const { isValidLatLng } = require('../../utils/geo');
+
+// Every provider implements:
+//   geocode(query) -> { lat, lng, formattedAddress } | null (when the address is unknown)
+const providers = {
+  [staticProvider.name]: staticProvider
+};
+
+const registerGeocodingProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getGeocodingProvider = (name = process.env.GEOCODING_PROVIDER || 'static') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown geocoding provider: ${name}`);
+  }
+  return provider;
+};
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Fill doc.geo from its address (or a fallback line such as an event's location)
+// when the address changed and no coordinates were given explicitly.
+// An address the provider can't resolve leaves the document without coordinates.
+const geocodeDocument = async (doc, fallback) => {
+  const addressChanged = doc.isNew || doc.isModified('address') || (fallback && doc.isModified(fallback));
+  if (!addressChanged || (doc.isModified('geo') && doc.geo)) return doc;
+
+  const query = formatAddress(doc.address) || (fallback && doc.get(fallback));
+  if (!query) return doc;
+
+  try {
+    const result = await getGeocodingProvider().geocode(query);
+    doc.geo = result && isValidLatLng(result.lat, result.lng) ? toPoint(result) : undefined;
+  } catch (error) {
+    // فشل مزود الخدمة لا يمنع حفظ العنوان
+    console.error('Geocoding error:', error.message);
+  }
+  return doc;
+};
+
+module.exports = { getGeocodingProvider, registerGeocodingProvider, geocodeDocument, toPoint };
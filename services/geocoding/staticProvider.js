@@ -0,0 +1,46 @@
+const fs = require('fs');
+const { isValidLatLng } = require('../../utils/geo');
+
+// Offline geocoder for development and tests.
+// Looks addresses up in a fixed table (optionally loaded from the JSON file at
+// GEOCODING_STATIC_FILE: { "address": [lat, lng] }) and accepts valid "lat,lng" strings as-is.
+const locations = new Map();
+
+const normalize = (query) => String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const addLocation = (query, { lat, lng }) => {
+  if (!isValidLatLng(lat, lng)) {
+    throw new Error(`Invalid coordinates for ${query}`);
+  }
+  locations.set(normalize(query), { lat, lng });
+};
+
+const loadFile = (path) => {
+  const entries = JSON.parse(fs.readFileSync(path, 'utf8'));
+  Object.entries(entries).forEach(([query, [lat, lng]]) => addLocation(query, { lat, lng }));
+};
+
+if (process.env.GEOCODING_STATIC_FILE) {
+  loadFile(process.env.GEOCODING_STATIC_FILE);
+}
+
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const geocode = async (query) => {
+  const match = COORDINATES_PATTERN.exec(query);
+  if (match) {
+    const lat = Number(match[1]);
+    const lng = Number(match[2]);
+    // نص مثل "100, 200" ليس إحداثيات
+    return isValidLatLng(lat, lng) ? { lat, lng, formattedAddress: query.trim() } : null;
+  }
+
+  const location = locations.get(normalize(query));
+  return location ? { ...location, formattedAddress: query.trim() } : null;
+};
+
+module.exports = {
+  name: 'static',
+  geocode,
+  addLocation
+};
@@ -0,0 +1,7 @@
+// Development transport: prints every message to the console
+const send = async ({ to, subject, text }) => {
+  console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+  return { id: `console-${Date.now()}` };
+};
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Development/test transport: writes each message as a JSON file in MAIL_OUTBOX_DIR
+const getOutboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+
+const send = async (message) => {
+  const dir = getOutboxDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+  );
+
+  return { id };
+};
+
+module.exports = { name: 'file', send, getOutboxDir };
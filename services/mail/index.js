@@ -0,0 +1,34 @@
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const { isProduction } = require('../../utils/config');
+
+// Every transport implements send({ to, subject, text, html }) -> { id }
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport
+};
+
+const registerMailTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+const getMailTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  // الإرسال للـ console أو لملف يحفظ روابط إعادة كلمة المرور كنص واضح
+  if ((transport === consoleTransport || transport === fileTransport) && isProduction()) {
+    throw new Error(`The ${transport.name} mail transport cannot be used in production`);
+  }
+  return transport;
+};
+
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'EventX Studio <no-reply@eventx.local>',
+    ...message
+  });
+};
+
+module.exports = { sendMail, getMailTransport, registerMailTransport };
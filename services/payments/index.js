@@ -0,0 +1,32 @@
+const mockProvider = require('./mockProvider');
+const { isProduction } = require('../../utils/config');
+
+// Every provider implements:
+//   createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+//   cancelPaymentIntent(intentId)
+//   refund(intentId, amount, { idempotencyKey }) -> { id, amount, status }
+//     (a repeated idempotencyKey returns the original refund instead of refunding again)
+//   parseWebhook(rawBody, headers) -> { type: 'payment.succeeded' | 'payment.failed', intentId }
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  // الدفع الوهمي يؤكد التذاكر بدون دفع حقيقي
+  if (provider === mockProvider && isProduction()) {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return provider;
+};
+
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+module.exports = { getPaymentProvider, registerPaymentProvider, PAYMENT_CURRENCY };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { isProduction } = require('../../utils/config');
+
+// Local payment provider for development and tests.
+// Intents live in memory; webhooks are signed with PAYMENT_WEBHOOK_SECRET
+// so the webhook route exercises the same verification path as a real provider.
+const intents = new Map();
+
+// Without PAYMENT_WEBHOOK_SECRET a random per-process secret is used (development only),
+// so webhooks can still be signed in-process with signWebhookPayload
+let generatedSecret;
+
+const getWebhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) {
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+  if (isProduction()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ PAYMENT_WEBHOOK_SECRET is not set; using a random development secret');
+  }
+  return generatedSecret;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const signWebhookPayload = (rawBody) => {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+};
+
+const createPaymentIntent = async ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: randomId('mock_pi'),
+    clientSecret: randomId('mock_secret'),
+    amount,
+    currency,
+    metadata,
+    status: 'requires_payment'
+  };
+  intents.set(intent.id, intent);
+
+  return { id: intent.id, clientSecret: intent.clientSecret, status: intent.status };
+};
+
+const cancelPaymentIntent = async (intentId) => {
+  const intent = intents.get(intentId);
+  if (intent) {
+    intent.status = 'cancelled';
+  }
+  return { id: intentId, status: 'cancelled' };
+};
+
+const refunds = new Map();
+
+const refund = async (intentId, amount, { idempotencyKey } = {}) => {
+  if (idempotencyKey && refunds.has(idempotencyKey)) {
+    return refunds.get(idempotencyKey);
+  }
+
+  const result = { id: randomId('mock_re'), intentId, amount, status: 'succeeded' };
+  if (idempotencyKey) {
+    refunds.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+// Verify the signature and normalize the payload to { type, intentId }
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-mock-signature'];
+  if (!rawBody || !signature) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const payload = JSON.parse(rawBody.toString());
+  const intent = intents.get(payload.intentId);
+  if (intent) {
+    intent.status = payload.type === 'payment.succeeded' ? 'succeeded' : 'failed';
+  }
+
+  return { type: payload.type, intentId: payload.intentId };
+};
+
+module.exports = {
+  name: 'mock',
+  createPaymentIntent,
+  cancelPaymentIntent,
+  refund,
+  parseWebhook,
+  signWebhookPayload
+};
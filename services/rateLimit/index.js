@@ -0,0 +1,35 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const { createRedisStore } = require('./redisStore');
+
+// Every store implements:
+//   get(key) -> { count, resetAt } | null
+//   increment(key, windowMs) -> { count, resetAt }
+//   reset(key)
+// RATE_LIMIT_STORE selects memory (default) or mongo. Redis needs a client, which
+// is not a dependency of this app: with RATE_LIMIT_STORE=redis, register one at
+// startup with setRateLimitStore(createRedisStore(client)) before server.js resolves
+// the store (it refuses to start otherwise).
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (name === 'mongo') {
+      store = createMongoStore();
+    } else if (name === 'memory') {
+      store = createMemoryStore();
+    } else if (name === 'redis') {
+      throw new Error('RATE_LIMIT_STORE=redis requires setRateLimitStore(createRedisStore(client)) at startup');
+    } else {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+  }
+  return store;
+};
+
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore, createMemoryStore, createMongoStore, createRedisStore };
@@ -0,0 +1,44 @@
+const { getRateLimitStore } = require('./index');
+
+// Progressive lockout after repeated failed password checks:
+// after LOCKOUT_THRESHOLD failures the account is locked for LOCKOUT_BASE_MS,
+// and every further failure doubles the lock, up to LOCKOUT_MAX_MS.
+// Callers key it on email + client IP (see lockoutKeyFor), so someone who only
+// knows an address cannot lock its owner out from their own network.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000;
+// عدد المحاولات الفاشلة يُنسى بعد 24 ساعة بدون محاولات
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const lockoutKeyFor = (email, ip) => `${String(email).trim().toLowerCase()}|${ip}`;
+
+const failuresKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// Returns the time the lock ends, or null when the key is not locked
+const getLockout = async (email) => {
+  const lock = await getRateLimitStore().get(lockKey(email));
+  return lock ? lock.resetAt : null;
+};
+
+const recordFailedLogin = async (email) => {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+
+  if (count < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+  await store.reset(lockKey(email));
+  const { resetAt } = await store.increment(lockKey(email), duration);
+  return resetAt;
+};
+
+const clearFailedLogins = async (email) => {
+  const store = getRateLimitStore();
+  await Promise.all([store.reset(failuresKey(email)), store.reset(lockKey(email))]);
+};
+
+module.exports = { lockoutKeyFor, getLockout, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,40 @@
+// Default store: counters live in this process only (fine for a single instance)
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  // تنظيف العدادات المنتهية كل دقيقة
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  const get = async (key) => {
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  };
+
+  const increment = async (key, windowMs) => {
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  };
+
+  const reset = async (key) => {
+    hits.delete(key);
+  };
+
+  return { name: 'memory', get, increment, reset };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,45 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Shared store backed by MongoDB, for multi-instance deployments (e.g. Vercel)
+const createMongoStore = () => {
+  const get = async (key) => {
+    const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+  };
+
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+
+    const entry = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    ).lean();
+    if (entry) {
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    // لا يوجد عداد ساري: نبدأ نافذة جديدة
+    const resetAt = new Date(now.getTime() + windowMs);
+    try {
+      await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { count: 1, resetAt },
+        { upsert: true }
+      );
+      return { count: 1, resetAt };
+    } catch (error) {
+      // طلب متزامن أنشأ العداد أولاً
+      if (error.code !== 11000) throw error;
+      return increment(key, windowMs);
+    }
+  };
+
+  const reset = async (key) => {
+    await RateLimit.deleteOne({ key });
+  };
+
+  return { name: 'mongo', get, increment, reset };
+};
+
+module.exports = { createMongoStore };
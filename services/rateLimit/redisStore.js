@@ -0,0 +1,34 @@
+// Store for any Redis-compatible client exposing incr / pexpire / pttl / get / del
+// (ioredis, or a thin wrapper around node-redis / Upstash). Register it with:
+//   setRateLimitStore(createRedisStore(client))
+const createRedisStore = (client, prefix = 'rl:') => {
+  const get = async (key) => {
+    const [count, ttl] = await Promise.all([client.get(prefix + key), client.pttl(prefix + key)]);
+    if (count === null || ttl <= 0) return null;
+    return { count: Number(count), resetAt: new Date(Date.now() + ttl) };
+  };
+
+  const increment = async (key, windowMs) => {
+    const count = await client.incr(prefix + key);
+    if (count === 1) {
+      await client.pexpire(prefix + key, windowMs);
+    }
+
+    let ttl = await client.pttl(prefix + key);
+    // المفتاح بدون مدة صلاحية (فشل pexpire سابقاً)
+    if (ttl < 0) {
+      await client.pexpire(prefix + key, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: new Date(Date.now() + ttl) };
+  };
+
+  const reset = async (key) => {
+    await client.del(prefix + key);
+  };
+
+  return { name: 'redis', get, increment, reset };
+};
+
+module.exports = { createRedisStore };
@@ -0,0 +1,57 @@
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('./payments');
+
+// Amount of the ticket's captured payment that can still be refunded
+const getRefundableAmount = (ticket) => {
+  if (!ticket.payment || !['succeeded', 'refunded'].includes(ticket.payment.status)) {
+    return 0;
+  }
+  return Math.max(0, (ticket.payment.amount || 0) - (ticket.refundedAmount || 0));
+};
+
+// Return money for a ticket through its payment provider and record it.
+// Runs inside the caller's transaction. The Refund record and the ticket are
+// written first and the provider call is the last step, so a failed refund
+// aborts the whole operation. The idempotency key only depends on the ticket's
+// refund state, so if the transaction still fails after the provider call
+// (e.g. a write conflict on commit), a retry gets the same provider refund
+// back instead of returning the money twice.
+const issueRefund = async ({ ticket, amount, reason, type = 'policy', issuedBy, session }) => {
+  const refundable = getRefundableAmount(ticket);
+  if (amount <= 0 || amount > refundable) {
+    const error = new Error(`Refund amount must be between 0 and ${refundable}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const provider = getPaymentProvider(ticket.payment.provider);
+  const idempotencyKey = `refund:${ticket._id}:${ticket.refundedAmount || 0}:${amount}`;
+
+  const [refund] = await Refund.create([{
+    ticket: ticket._id,
+    event: ticket.event,
+    user: ticket.user,
+    amount,
+    reason,
+    type,
+    status: 'succeeded',
+    provider: provider.name,
+    idempotencyKey,
+    issuedBy
+  }], { session });
+
+  ticket.refundedAmount = (ticket.refundedAmount || 0) + amount;
+  if (ticket.refundedAmount >= ticket.payment.amount) {
+    ticket.payment.status = 'refunded';
+  }
+  await ticket.save({ session });
+
+  // إعادة المال آخر خطوة قبل تأكيد المعاملة
+  const providerRefund = await provider.refund(ticket.payment.intentId, amount, { idempotencyKey });
+  refund.providerRefundId = providerRefund.id;
+  await Refund.updateOne({ _id: refund._id }, { providerRefundId: providerRefund.id }, { session });
+
+  return refund;
+};
+
+module.exports = { getRefundableAmount, issueRefund };
@@ -0,0 +1,154 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const TicketTransfer = require('../models/TicketTransfer');
+const { issueTicketQr } = require('../utils/ticketQr');
+const { sendMail } = require('./mail');
+
+// مدة صلاحية طلب النقل قبل أن يقبله المستلم (بالساعات)
+const TRANSFER_EXPIRY_HOURS = parseInt(process.env.TICKET_TRANSFER_HOURS, 10) || 72;
+
+const createTransferError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Checks shared by initiating and accepting a transfer
+const assertTransferable = (ticket, event) => {
+  if (!event || !event.isActive) {
+    throw createTransferError('Event not found or not active', 404);
+  }
+  if (!event.allowTransfers) {
+    throw createTransferError('Ticket transfers are disabled for this event');
+  }
+  if (event.hasStarted()) {
+    throw createTransferError('Event has already occurred');
+  }
+  if (ticket.status !== 'booked') {
+    throw createTransferError(`Only booked tickets can be transferred (ticket is ${ticket.status})`);
+  }
+};
+
+// Start a transfer of a ticket to an email address and notify the recipient
+const initiateTransfer = async ({ ticket, fromUser, email }) => {
+  const toEmail = String(email || '').trim().toLowerCase();
+  if (!/^\S+@\S+\.\S+$/.test(toEmail)) {
+    throw createTransferError('A valid recipient email is required');
+  }
+  if (toEmail === fromUser.email.toLowerCase()) {
+    throw createTransferError('You cannot transfer a ticket to yourself');
+  }
+
+  const event = await Event.findById(ticket.event).select('title date time timezone startsAt isActive allowTransfers');
+  assertTransferable(ticket, event);
+
+  // الطلبات المنتهية لا تمنع إنشاء طلب جديد
+  await TicketTransfer.updateMany(
+    { ticket: ticket._id, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  const pending = await TicketTransfer.exists({ ticket: ticket._id, status: 'pending' });
+  if (pending) {
+    throw createTransferError('This ticket already has a pending transfer');
+  }
+
+  // لا تتجاوز الصلاحية موعد الفعالية
+  const expiresAt = new Date(Math.min(
+    Date.now() + TRANSFER_EXPIRY_HOURS * 60 * 60 * 1000,
+    event.getStartsAt().getTime()
+  ));
+
+  const transfer = await TicketTransfer.create({
+    ticket: ticket._id,
+    event: event._id,
+    fromUser: fromUser._id,
+    toEmail,
+    expiresAt
+  });
+
+  const clientUrl = process.env.CLIENT_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+  try {
+    await sendMail({
+      to: toEmail,
+      subject: `${fromUser.name} sent you a ticket for ${event.title}`,
+      text: `Hi,\n\n${fromUser.name} wants to give you their ticket (seat ${ticket.seatNumber}) for ${event.title}.\n` +
+        `Sign in or register with this email address to accept it before ${expiresAt.toISOString()}:\n` +
+        `${clientUrl}/transfers/${transfer._id}`
+    });
+  } catch (error) {
+    console.error('Transfer notification error:', error.message);
+  }
+
+  return transfer;
+};
+
+// Accept a transfer inside the caller's transaction: the recipient becomes the
+// owner of the ticket and the seat, and a new QR replaces the old one
+const acceptTransfer = async ({ transferId, user, session }) => {
+  const transfer = await TicketTransfer.findById(transferId).session(session);
+  if (!transfer || transfer.toEmail !== user.email.toLowerCase()) {
+    throw createTransferError('Transfer not found', 404);
+  }
+  if (transfer.status !== 'pending') {
+    throw createTransferError(`Transfer is already ${transfer.status}`);
+  }
+  if (transfer.isExpired) {
+    throw createTransferError('Transfer has expired');
+  }
+
+  const ticket = await Ticket.findById(transfer.ticket).session(session);
+  if (!ticket || ticket.user.toString() !== transfer.fromUser.toString()) {
+    throw createTransferError('Ticket is no longer owned by the sender');
+  }
+
+  const event = await Event.findById(ticket.event).session(session);
+  assertTransferable(ticket, event);
+
+  const recipientTickets = await Ticket.countDocuments({
+    event: event._id,
+    user: user.id,
+    status: { $in: ['pending', 'booked', 'checked-in'] }
+  }).session(session);
+  if (recipientTickets >= event.maxTicketsPerUser) {
+    throw createTransferError(`You can hold at most ${event.maxTicketsPerUser} tickets for this event`);
+  }
+
+  const seat = event.seats.find(s => s.seatNumber === ticket.seatNumber);
+  if (seat) {
+    seat.bookedBy = user.id;
+  }
+
+  // QR جديد باسم المالك الجديد؛ القديم يُرفض لأنه لم يعد يطابق qrPayload
+  ticket.user = user.id;
+  await issueTicketQr(ticket);
+
+  transfer.status = 'accepted';
+  transfer.toUser = user.id;
+  transfer.respondedAt = new Date();
+
+  await ticket.save({ session });
+  await event.save({ session });
+  await transfer.save({ session });
+
+  return { transfer, ticket };
+};
+
+// Let the sender know how their transfer ended; failures are only logged
+const notifyTransferSender = async (transfer) => {
+  try {
+    const sender = await User.findById(transfer.fromUser).select('name email');
+    if (!sender) return;
+
+    await sendMail({
+      to: sender.email,
+      subject: `Your ticket transfer was ${transfer.status}`,
+      text: `Hi ${sender.name},\n\nYour ticket transfer to ${transfer.toEmail} was ${transfer.status}.`
+    });
+  } catch (error) {
+    console.error('Transfer notification error:', error.message);
+  }
+};
+
+module.exports = { initiateTransfer, acceptTransfer, notifyTransferSender };
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendMail } = require('./mail');
+
+// مدة المهلة الممنوحة لمستخدم قائمة الانتظار لحجز المقعد المعروض عليه
+const WAITLIST_CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+
+// Offer freed seats to the next users in line by holding each seat for them
+// during the claim window. Runs inside the caller's transaction and does not
+// save the event. Returns the offered entries.
+const offerSeatsToWaitlist = async (event, seatNumbers, session) => {
+  const offers = [];
+
+  if (event.hasStarted()) {
+    return offers;
+  }
+
+  for (const seatNumber of seatNumbers) {
+    const entry = await WaitlistEntry.findOne({ event: event._id, status: 'waiting' })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session);
+    if (!entry) break;
+
+    const seat = event.placeHold(seatNumber, entry.user, WAITLIST_CLAIM_MINUTES);
+
+    entry.status = 'offered';
+    entry.offeredSeat = seatNumber;
+    entry.offeredAt = new Date();
+    entry.offerExpiresAt = seat.holdExpiresAt;
+    await entry.save({ session });
+
+    offers.push(entry);
+  }
+
+  return offers;
+};
+
+// Email each offered user (after the transaction committed); failures are only logged
+const notifyWaitlistOffers = async (event, offers) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  for (const entry of offers) {
+    try {
+      const user = await User.findById(entry.user).select('name email');
+      if (!user) continue;
+
+      await sendMail({
+        to: user.email,
+        subject: `A seat is available for ${event.title}`,
+        text: `Hi ${user.name},\n\nSeat ${entry.offeredSeat} for ${event.title} has been held for you.\n` +
+          `Book it before ${entry.offerExpiresAt.toISOString()} or it will be offered to the next person on the waitlist:\n` +
+          `${clientUrl}/event/${event._id}`
+      });
+    } catch (error) {
+      console.error('Waitlist notification error:', error.message);
+    }
+  }
+};
+
+// Mark the offers of these seats as claimed once the user booked them
+const markWaitlistClaimed = (eventId, userId, seatNumbers, session) => WaitlistEntry.updateMany(
+  { event: eventId, user: userId, status: 'offered', offeredSeat: { $in: seatNumbers } },
+  { status: 'claimed', claimedAt: new Date() },
+  { session }
+);
+
+// Close an offered entry (expired or left) and pass its seat to the next user in line.
+// Returns false when the entry was no longer offered.
+const passOnOffer = async (entryId, status = 'expired') => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let event = null;
+  let offers = [];
+
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, status: 'offered' }).session(session);
+    if (!entry) {
+      await session.abortTransaction();
+      session.endSession();
+      return false;
+    }
+
+    event = await Event.findById(entry.event).session(session);
+    const seat = event && event.seats.find(s => s.seatNumber === entry.offeredSeat);
+
+    if (seat && !seat.isBooked) {
+      // تحرير المقعد من المستخدم السابق ثم عرضه على التالي
+      if (seat.holdExpiresAt && seat.heldBy.toString() === entry.user.toString()) {
+        event.removeHold(seat.seatNumber);
+      }
+      if (!seat.holdExpiresAt) {
+        offers = await offerSeatsToWaitlist(event, [seat.seatNumber], session);
+      }
+      await event.save({ session });
+    }
+
+    entry.status = status;
+    await entry.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+
+  await notifyWaitlistOffers(event, offers);
+  return true;
+};
+
+// Release expired seat holds (optionally of one event) and offer the freed seats
+// to the waitlist before they go back on general sale. Returns the number released.
+const releaseExpiredHolds = async ({ eventId } = {}) => {
+  const now = new Date();
+  const events = await Event.find({
+    ...(eventId ? { _id: eventId } : {}),
+    seats: { $elemMatch: { isBooked: false, holdExpiresAt: { $lte: now } } }
+  }).select('_id');
+
+  let released = 0;
+
+  for (const { _id } of events) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let event = null;
+    let offers = [];
+
+    try {
+      event = await Event.findById(_id).session(session);
+      const freedSeats = event ? event.removeExpiredHolds(now) : [];
+      if (freedSeats.length === 0) {
+        await session.abortTransaction();
+        session.endSession();
+        continue;
+      }
+
+      offers = await offerSeatsToWaitlist(event, freedSeats, session);
+      await event.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+      released += freedSeats.length;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      session.endSession();
+      // تم تعديل الفعالية بالتوازي، سيتم المحاولة في الدورة القادمة
+      console.error('Release expired holds error:', error.message);
+      continue;
+    }
+
+    await notifyWaitlistOffers(event, offers);
+  }
+
+  return released;
+};
+
+// Expire offers whose claim window ended, optionally of one event (run by the seat hold sweeper)
+const expireWaitlistOffers = async ({ eventId } = {}) => {
+  const entries = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() },
+    ...(eventId ? { event: eventId } : {})
+  })
+    .sort({ offerExpiresAt: 1 })
+    .select('_id');
+  let expired = 0;
+
+  for (const entry of entries) {
+    try {
+      if (await passOnOffer(entry._id, 'expired')) {
+        expired++;
+      }
+    } catch (error) {
+      console.error('Waitlist offer expiry error:', error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  WAITLIST_CLAIM_MINUTES,
+  offerSeatsToWaitlist,
+  notifyWaitlistOffers,
+  markWaitlistClaimed,
+  passOnOffer,
+  expireWaitlistOffers,
+  releaseExpiredHolds
+};
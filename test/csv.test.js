@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsvValue, toCsvRow } = require('../utils/csv');
+
+test('escapeCsvValue quotes separators, quotes and line breaks', () => {
+  assert.equal(escapeCsvValue('plain'), 'plain');
+  assert.equal(escapeCsvValue('a,b'), '"a,b"');
+  assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsvValue('line\nbreak'), '"line\nbreak"');
+});
+
+test('escapeCsvValue writes empty cells, numbers and dates', () => {
+  assert.equal(escapeCsvValue(null), '');
+  assert.equal(escapeCsvValue(undefined), '');
+  assert.equal(escapeCsvValue(-12.5), '-12.5');
+  assert.equal(escapeCsvValue(new Date('2027-01-01T10:00:00Z')), '2027-01-01T10:00:00.000Z');
+});
+
+test('escapeCsvValue neutralises text that spreadsheets would run as a formula', () => {
+  assert.equal(escapeCsvValue('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(escapeCsvValue('+1'), "'+1");
+  assert.equal(escapeCsvValue('-2'), "'-2");
+  assert.equal(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(escapeCsvValue('\tcmd'), "'\tcmd");
+});
+
+test('toCsvRow joins escaped cells and ends with CRLF', () => {
+  assert.equal(toCsvRow(['a', 'b,c', null, 3]), 'a,"b,c",,3\r\n');
+});
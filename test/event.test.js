@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+
+// Rows A-C with seats 1-6; an aisle follows seat 3 of every row
+const buildEvent = (fields = {}) => new Event({
+  title: 'Test event',
+  date: '2027-03-10',
+  time: '10:00',
+  timezone: 'Europe/Berlin',
+  category: 'concert',
+  ...fields,
+  seats: ['A', 'B', 'C'].flatMap(row => [1, 2, 3, 4, 5, 6].map(number => ({
+    seatNumber: `${row}-${number}`,
+    row,
+    number,
+    aisleAfter: number === 3
+  })))
+});
+
+const seat = (event, seatNumber) => event.seats.find(s => s.seatNumber === seatNumber);
+
+test('findBestAvailableSeats prefers an adjacent block in the middle row', () => {
+  const event = buildEvent();
+  assert.deepEqual(event.findBestAvailableSeats(2, 'center'), ['B-2', 'B-3']);
+});
+
+test('findBestAvailableSeats prefers the front row for "front"', () => {
+  const event = buildEvent();
+  assert.deepEqual(event.findBestAvailableSeats(3, 'front'), ['A-1', 'A-2', 'A-3']);
+});
+
+test('findBestAvailableSeats does not treat seats across an aisle as adjacent', () => {
+  const event = buildEvent();
+  assert.equal(event.findBestAvailableSeats(4, 'together'), null);
+});
+
+test('findBestAvailableSeats skips booked seats and holds of other users', () => {
+  const event = buildEvent();
+  const userId = new mongoose.Types.ObjectId();
+  const otherUser = new mongoose.Types.ObjectId();
+  const inFiveMinutes = new Date(Date.now() + 5 * 60 * 1000);
+
+  ['A', 'B', 'C'].forEach(row => {
+    seat(event, `${row}-1`).isBooked = true;
+    Object.assign(seat(event, `${row}-2`), { heldBy: otherUser, holdExpiresAt: inFiveMinutes });
+  });
+  Object.assign(seat(event, 'A-3'), { heldBy: userId, holdExpiresAt: inFiveMinutes });
+
+  assert.equal(event.findBestAvailableSeats(2, 'front', otherUser.toString()).length, 2);
+  assert.equal(event.findBestAvailableSeats(1, 'front', userId)[0], 'A-3');
+  assert.deepEqual(event.findBestAvailableSeats(1, 'front'), ['A-4']);
+});
+
+test('findBestAvailableSeats falls back to single seats unless the party stays together', () => {
+  const event = buildEvent();
+  event.seats.forEach(s => {
+    s.isBooked = !['A-1', 'B-5', 'C-3'].includes(s.seatNumber);
+  });
+
+  assert.deepEqual(event.findBestAvailableSeats(3, 'center').sort(), ['A-1', 'B-5', 'C-3']);
+  assert.equal(event.findBestAvailableSeats(3, 'together'), null);
+  assert.equal(event.findBestAvailableSeats(4, 'center'), null);
+});
+
+test('findBestAvailableSeats stays within the requested sections', () => {
+  const event = buildEvent();
+  event.seats.forEach(s => {
+    s.section = s.row === 'C' ? 'balcony' : 'stalls';
+  });
+  assert.ok(event.findBestAvailableSeats(3, 'front', null, ['balcony']).every(s => s.startsWith('C-')));
+});
+
+test('calculateRefund follows the default refund policy', () => {
+  // The event day starts at midnight Berlin time: 2027-03-09T23:00Z
+  const event = buildEvent();
+  assert.equal(event.calculateRefund(40, new Date('2027-03-01T00:00:00Z')), 40);
+  assert.equal(event.calculateRefund(40, new Date('2027-03-05T00:00:00Z')), 20);
+  assert.equal(event.calculateRefund(40, new Date('2027-03-09T22:59:00Z')), 20);
+  assert.equal(event.calculateRefund(40, new Date('2027-03-09T23:00:00Z')), 0);
+});
+
+test('calculateRefund uses the event refund policy', () => {
+  const event = buildEvent({ refundPolicy: { fullRefundDaysBefore: 2, partialRefundPercent: 25 } });
+  assert.equal(event.calculateRefund(40, new Date('2027-03-05T00:00:00Z')), 40);
+  assert.equal(event.calculateRefund(40, new Date('2027-03-09T00:00:00Z')), 10);
+});
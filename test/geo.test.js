@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNearParam, NEAR_DEFAULT_RADIUS_KM } = require('../utils/geo');
+
+test('parseNearParam returns null without near', () => {
+  assert.equal(parseNearParam({}), null);
+});
+
+test('parseNearParam builds a GeoJSON point as [lng, lat] with the radius in meters', () => {
+  const near = parseNearParam({ near: '30.0444,31.2357', radius: '10' });
+  assert.deepEqual(near.point, { type: 'Point', coordinates: [31.2357, 30.0444] });
+  assert.equal(near.maxDistance, 10000);
+});
+
+test('parseNearParam uses the default radius', () => {
+  assert.equal(parseNearParam({ near: '0,0' }).maxDistance, NEAR_DEFAULT_RADIUS_KM * 1000);
+});
+
+test('parseNearParam rejects malformed or out-of-range coordinates', () => {
+  for (const near of ['30', '30,', ',31', 'a,b', '91,0', '0,181', '1,2,3']) {
+    assert.throws(() => parseNearParam({ near }), { status: 400 }, near);
+  }
+});
+
+test('parseNearParam rejects invalid radii', () => {
+  for (const radius of ['abc', '0', '-5', '501']) {
+    assert.throws(() => parseNearParam({ near: '0,0', radius }), { status: 400 }, radius);
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const staticProvider = require('../services/geocoding/staticProvider');
+const { getGeocodingProvider, registerGeocodingProvider, geocodeDocument } = require('../services/geocoding');
+const Event = require('../models/Event');
+const Venue = require('../models/Venue');
+
+test('the static provider is the default', () => {
+  assert.equal(getGeocodingProvider(), staticProvider);
+  assert.throws(() => getGeocodingProvider('unknown'), /Unknown geocoding provider/);
+});
+
+test('static provider resolves registered addresses regardless of case and spacing', async () => {
+  staticProvider.addLocation('1 Tahrir Sq, Cairo, EG', { lat: 30.0444, lng: 31.2357 });
+
+  const result = await staticProvider.geocode('  1 tahrir  sq, cairo, eg ');
+  assert.equal(result.lat, 30.0444);
+  assert.equal(result.lng, 31.2357);
+  assert.equal(await staticProvider.geocode('Unknown place'), null);
+});
+
+test('static provider accepts "lat,lng" only within range', async () => {
+  assert.deepEqual(await staticProvider.geocode('51.5, -0.12'), { lat: 51.5, lng: -0.12, formattedAddress: '51.5, -0.12' });
+  assert.equal(await staticProvider.geocode('100, 200'), null);
+  assert.throws(() => staticProvider.addLocation('Nowhere', { lat: 95, lng: 0 }), /Invalid coordinates/);
+});
+
+test('geocodeDocument fills geo from a structured address', async () => {
+  staticProvider.addLocation('5 Nile St, Giza, EG', { lat: 30.01, lng: 31.2 });
+  const venue = new Venue({ name: 'Hall', address: { street: '5 Nile St', city: 'Giza', country: 'eg' } });
+
+  await geocodeDocument(venue);
+  assert.deepEqual(venue.geo.coordinates, [31.2, 30.01]);
+});
+
+test('geocodeDocument leaves geo unset for a location that only looks like coordinates', async () => {
+  const event = new Event({ title: 'Show', location: '100, 200' });
+
+  await geocodeDocument(event, 'location');
+  assert.equal(event.geo, undefined);
+  assert.equal(event.validateSync().errors['geo.coordinates'], undefined);
+});
+
+test('geocodeDocument keeps explicit coordinates and survives provider errors', async () => {
+  const explicit = new Event({ location: 'Cairo', geo: { coordinates: [1, 2] } });
+  await geocodeDocument(explicit, 'location');
+  assert.deepEqual(explicit.geo.coordinates, [1, 2]);
+
+  registerGeocodingProvider({ name: 'failing', geocode: async () => { throw new Error('offline'); } });
+  process.env.GEOCODING_PROVIDER = 'failing';
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const event = new Event({ location: 'Cairo' });
+    await geocodeDocument(event, 'location');
+    assert.equal(event.geo, undefined);
+  } finally {
+    console.error = originalError;
+    delete process.env.GEOCODING_PROVIDER;
+  }
+});
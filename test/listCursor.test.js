@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { getListingKey, encodeCursor, decodeCursor, keysetCondition } = require('../utils/listCursor');
+
+const id = new mongoose.Types.ObjectId();
+const eventWith = (values) => ({ _id: id, get: (path) => values[path] });
+
+test('getListingKey ignores pagination parameters but not filters or sort', () => {
+  const key = getListingKey({ category: 'concert', page: '2', limit: '20', cursor: 'x' }, 'price', 'asc');
+
+  assert.equal(getListingKey({ limit: '5', category: 'concert' }, 'price', 'asc'), key);
+  assert.notEqual(getListingKey({ category: 'sports' }, 'price', 'asc'), key);
+  assert.notEqual(getListingKey({ category: 'concert' }, 'price', 'desc'), key);
+  assert.notEqual(getListingKey({ category: 'concert' }, 'title', 'asc'), key);
+});
+
+test('a cursor round-trips its sort value, id and page', () => {
+  const key = getListingKey({}, 'date', 'asc');
+  const startsAt = new Date('2027-01-01T10:00:00Z');
+  const cursor = decodeCursor(encodeCursor(eventWith({ startsAt }), 'startsAt', key, 3), key);
+
+  assert.deepEqual(cursor.value, startsAt);
+  assert.ok(cursor.id.equals(id));
+  assert.equal(cursor.page, 3);
+
+  const missing = decodeCursor(encodeCursor(eventWith({}), 'price', key, 2), key);
+  assert.equal(missing.value, null);
+});
+
+test('decodeCursor rejects garbage and cursors of another listing', () => {
+  const key = getListingKey({}, 'price', 'asc');
+  const cursor = encodeCursor(eventWith({ price: 10 }), 'price', key, 2);
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  assert.throws(() => decodeCursor('garbage', key), { status: 400, message: 'Invalid cursor' });
+  assert.throws(() => decodeCursor(encode(null), key), { status: 400, message: 'Invalid cursor' });
+  assert.throws(() => decodeCursor(encode({ id: id.toString(), listing: key, page: 1 }), key), { status: 400 });
+  assert.throws(() => decodeCursor(cursor, getListingKey({}, 'price', 'desc')), { status: 400, message: /different sort/ });
+});
+
+test('keysetCondition continues after the cursor in either direction', () => {
+  const cursor = { value: 10, id };
+
+  assert.deepEqual(keysetCondition('price', 1, cursor), {
+    $or: [{ price: { $gt: 10 } }, { price: 10, _id: { $gt: id } }]
+  });
+  assert.deepEqual(keysetCondition('price', -1, cursor), {
+    $or: [{ price: { $lt: 10 } }, { price: 10, _id: { $lt: id } }, { price: null }]
+  });
+});
+
+test('keysetCondition places missing values first', () => {
+  const cursor = { value: null, id };
+
+  assert.deepEqual(keysetCondition('price', 1, cursor), {
+    $or: [{ price: null, _id: { $gt: id } }, { price: { $ne: null } }]
+  });
+  assert.deepEqual(keysetCondition('price', -1, cursor), { price: null, _id: { $lt: id } });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRRule, expandRecurrence } = require('../utils/recurrence');
+
+const isoDays = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+test('parseRRule reads the supported parts and an RRULE: prefix', () => {
+  const rule = parseRRule('RRULE:FREQ=weekly;INTERVAL=2;BYDAY=MO,WE;COUNT=4');
+  assert.equal(rule.freq, 'WEEKLY');
+  assert.equal(rule.interval, 2);
+  assert.deepEqual(rule.byDay, [1, 3]);
+  assert.equal(rule.count, 4);
+});
+
+test('parseRRule rejects invalid or unsupported rules', () => {
+  for (const rrule of [
+    '',
+    'INTERVAL=2',
+    'FREQ=HOURLY',
+    'FREQ=DAILY;COUNT=0',
+    'FREQ=DAILY;COUNT=3;UNTIL=20270101',
+    'FREQ=MONTHLY;BYDAY=MO',
+    'FREQ=WEEKLY;BYMONTHDAY=1',
+    'FREQ=WEEKLY;BYDAY=XX',
+    'FREQ=DAILY;BYSETPOS=1'
+  ]) {
+    assert.throws(() => parseRRule(rrule), { status: 400 }, rrule);
+  }
+});
+
+test('expandRecurrence steps weekly rules on the requested weekdays', () => {
+  // 2027-01-04 is a Monday
+  const dates = expandRecurrence('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=4', '2027-01-04');
+  assert.deepEqual(isoDays(dates), ['2027-01-04', '2027-01-08', '2027-01-11', '2027-01-15']);
+});
+
+test('expandRecurrence honours INTERVAL and UNTIL', () => {
+  const dates = expandRecurrence('FREQ=DAILY;INTERVAL=3;UNTIL=20270110', '2027-01-01');
+  assert.deepEqual(isoDays(dates), ['2027-01-01', '2027-01-04', '2027-01-07', '2027-01-10']);
+});
+
+test('expandRecurrence skips month days that do not exist', () => {
+  const dates = expandRecurrence('FREQ=MONTHLY;COUNT=3', '2027-01-31');
+  assert.deepEqual(isoDays(dates), ['2027-01-31', '2027-03-31', '2027-05-31']);
+});
+
+test('expandRecurrence keeps yearly Feb 29 on leap years only', () => {
+  const dates = expandRecurrence('FREQ=YEARLY;COUNT=2', '2028-02-29');
+  assert.deepEqual(isoDays(dates), ['2028-02-29', '2032-02-29']);
+});
+
+test('expandRecurrence stops at the limit for unbounded rules', () => {
+  assert.equal(expandRecurrence('FREQ=DAILY', '2027-01-01', { limit: 5 }).length, 5);
+});
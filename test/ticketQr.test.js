@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.MANIFEST_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const { signTicketPayload, verifyTicketPayload, hashTicketPayload, signManifest, getManifestPublicKey } = require('../utils/ticketQr');
+
+const ticket = {
+  _id: 'ticket1',
+  event: { _id: 'event1' },
+  user: 'user1',
+  seatNumber: 'A-1'
+};
+
+test.afterEach(() => {
+  delete process.env.TICKET_SIGNING_KEYS;
+  delete process.env.TICKET_SIGNING_SECRET;
+});
+
+test('a signed ticket payload verifies and carries the ticket details', () => {
+  process.env.TICKET_SIGNING_KEYS = 'k1:first-secret';
+  const result = verifyTicketPayload(signTicketPayload(ticket));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.keyId, 'k1');
+  assert.equal(result.payload.ticketId, 'ticket1');
+  assert.equal(result.payload.eventId, 'event1');
+  assert.equal(result.payload.userId, 'user1');
+  assert.equal(result.payload.seatNumber, 'A-1');
+});
+
+test('verifyTicketPayload rejects malformed and tampered payloads', () => {
+  process.env.TICKET_SIGNING_KEYS = 'k1:first-secret';
+  const qrData = signTicketPayload(ticket);
+  const [prefix, keyId, payload, signature] = qrData.split('.');
+  const forged = Buffer.from(JSON.stringify({ t: 'ticket2', e: 'event1', s: 'A-1', u: 'user1', iat: 0 })).toString('base64url');
+
+  assert.equal(verifyTicketPayload(42).reason, 'malformed');
+  assert.equal(verifyTicketPayload('not-a-ticket').reason, 'malformed');
+  assert.equal(verifyTicketPayload([prefix, keyId, forged, signature].join('.')).reason, 'bad_signature');
+  assert.equal(verifyTicketPayload([prefix, keyId, payload, signature.slice(1)].join('.')).reason, 'bad_signature');
+});
+
+test('old tickets verify after rotation until their key is removed', () => {
+  process.env.TICKET_SIGNING_KEYS = 'k1:first-secret';
+  const oldQr = signTicketPayload(ticket);
+
+  // k2 signs new tickets, k1 is kept for verification only
+  process.env.TICKET_SIGNING_KEYS = 'k2:second-secret,k1:first-secret';
+  assert.equal(verifyTicketPayload(oldQr).valid, true);
+  assert.equal(verifyTicketPayload(signTicketPayload(ticket)).keyId, 'k2');
+
+  process.env.TICKET_SIGNING_KEYS = 'k2:second-secret';
+  assert.equal(verifyTicketPayload(oldQr).reason, 'unknown_key');
+});
+
+test('TICKET_SIGNING_SECRET is used as the default key', () => {
+  process.env.TICKET_SIGNING_SECRET = 'single-secret';
+  const result = verifyTicketPayload(signTicketPayload(ticket));
+  assert.equal(result.valid, true);
+  assert.equal(result.keyId, 'default');
+});
+
+test('hashTicketPayload ignores surrounding whitespace', () => {
+  assert.equal(hashTicketPayload(' abc \n'), hashTicketPayload('abc'));
+});
+
+test('manifests verify with the published public key only', () => {
+  const data = { eventId: 'event1', tickets: ['hash1', 'hash2'] };
+  const { keyId, algorithm, signature } = signManifest(data);
+  const published = getManifestPublicKey();
+
+  assert.equal(algorithm, 'Ed25519');
+  assert.equal(published.keyId, keyId);
+
+  const publicKey = crypto.createPublicKey(published.publicKey);
+  const verify = (payload) => crypto.verify(null, Buffer.from(JSON.stringify(payload)), publicKey, Buffer.from(signature, 'base64url'));
+  assert.equal(verify(data), true);
+  assert.equal(verify({ ...data, tickets: ['hash1'] }), false);
+});
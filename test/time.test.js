@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, getScheduledStart, isDateOnly } = require('../utils/time');
+
+const utc = (wallClock, timeZone) => {
+  const [date, time] = wallClock.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).toISOString();
+};
+
+test('zonedTimeToUtc converts ordinary times on either side of UTC', () => {
+  assert.equal(utc('2027-07-01T18:00', 'Europe/Berlin'), '2027-07-01T16:00:00.000Z');
+  assert.equal(utc('2027-07-01T18:00', 'America/New_York'), '2027-07-01T22:00:00.000Z');
+  assert.equal(utc('2027-01-01T09:00', 'Asia/Tokyo'), '2027-01-01T00:00:00.000Z');
+  assert.equal(utc('2027-01-01T09:00', 'Asia/Kolkata'), '2027-01-01T03:30:00.000Z');
+});
+
+test('zonedTimeToUtc moves times skipped by a DST change forward', () => {
+  // 02:30 does not exist on these days; it becomes 03:30 local time
+  assert.equal(utc('2027-03-28T02:30', 'Europe/Berlin'), '2027-03-28T01:30:00.000Z');
+  assert.equal(utc('2027-03-14T02:30', 'America/New_York'), '2027-03-14T07:30:00.000Z');
+});
+
+test('zonedTimeToUtc resolves repeated times to their first occurrence', () => {
+  assert.equal(utc('2027-10-31T02:30', 'Europe/Berlin'), '2027-10-31T00:30:00.000Z');
+  assert.equal(utc('2027-11-07T01:30', 'America/New_York'), '2027-11-07T05:30:00.000Z');
+});
+
+test('getScheduledStart combines the calendar date, time and timezone', () => {
+  assert.equal(getScheduledStart('2027-07-01', '18:00', 'Europe/Berlin').toISOString(), '2027-07-01T16:00:00.000Z');
+  assert.equal(getScheduledStart('2027-07-01', undefined, 'UTC').toISOString(), '2027-07-01T00:00:00.000Z');
+  assert.equal(getScheduledStart('2027-07-01', '18:00', 'Not/AZone').toISOString(), '2027-07-01T18:00:00.000Z');
+  assert.equal(getScheduledStart('not a date', '18:00', 'UTC'), null);
+});
+
+test('isDateOnly accepts calendar dates and midnight UTC only', () => {
+  for (const value of ['2027-07-01', '2027-07-01T00:00Z', '2027-07-01T00:00:00.000Z', new Date('2027-07-01')]) {
+    assert.equal(isDateOnly(value), true, String(value));
+  }
+  for (const value of ['2027-07-01T18:00', '2027-12-01T22:00-05:00', '2027-13-45', '', null, 20270701, new Date('2027-07-01T10:00Z')]) {
+    assert.equal(isDateOnly(value), false, String(value));
+  }
+});
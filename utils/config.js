@@ -0,0 +1,36 @@
+// Settings that have development defaults but must be configured explicitly in production.
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Each check returns a problem description, or null when the setting is fine
+const productionChecks = [
+  () => !process.env.JWT_SECRET
+    ? 'JWT_SECRET must be set (access tokens are signed with it)'
+    : null,
+  () => (!process.env.PAYMENT_PROVIDER || process.env.PAYMENT_PROVIDER === 'mock')
+    ? 'PAYMENT_PROVIDER must name a real payment provider (not mock)'
+    : null,
+  () => !process.env.PAYMENT_WEBHOOK_SECRET
+    ? 'PAYMENT_WEBHOOK_SECRET must be set'
+    : null,
+  () => !process.env.TICKET_SIGNING_KEYS && !process.env.TICKET_SIGNING_SECRET
+    ? 'TICKET_SIGNING_KEYS must be set (ticket QR codes are signed with it)'
+    : null,
+  () => !process.env.MANIFEST_SIGNING_KEY
+    ? 'MANIFEST_SIGNING_KEY must be set (Ed25519 private key for check-in manifests)'
+    : null,
+  () => (!process.env.MAIL_TRANSPORT || ['console', 'file'].includes(process.env.MAIL_TRANSPORT))
+    ? 'MAIL_TRANSPORT must name a real mail transport (console and file store reset and verification links in plain text)'
+    : null
+];
+
+// Throw at startup when running in production with a development default
+const assertProductionConfig = () => {
+  if (!isProduction()) return;
+
+  const problems = productionChecks.map(check => check()).filter(Boolean);
+  if (problems.length > 0) {
+    throw new Error(`Invalid production configuration:\n- ${problems.join('\n- ')}`);
+  }
+};
+
+module.exports = { isProduction, assertProductionConfig };
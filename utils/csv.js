@@ -0,0 +1,23 @@
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape a single value for a CSV cell (RFC 4180). Text cells that would be
+// read as a formula (names and emails are user-controlled) get a leading '
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+// Build one CSV line from an array of values
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = { escapeCsvValue, toCsvRow };
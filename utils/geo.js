@@ -0,0 +1,43 @@
+// Helpers for "events near me" queries
+
+// ?near= radius in km
+const NEAR_DEFAULT_RADIUS_KM = 25;
+const NEAR_MAX_RADIUS_KM = 500;
+
+const createGeoError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isValidLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng)
+  && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// ?near=lat,lng&radius=km -> GeoJSON point and max distance in meters (null without near)
+const parseNearParam = (query) => {
+  if (!query.near) return null;
+
+  const parts = String(query.near).split(',');
+  const [lat, lng] = parts.map(part => (part.trim() === '' ? NaN : Number(part)));
+  if (parts.length !== 2 || !isValidLatLng(lat, lng)) {
+    throw createGeoError('near must be "lat,lng"');
+  }
+
+  let radius = NEAR_DEFAULT_RADIUS_KM;
+  if (query.radius !== undefined && query.radius !== '') {
+    radius = Number(query.radius);
+    if (!Number.isFinite(radius)) {
+      throw createGeoError('radius must be a number');
+    }
+  }
+  if (radius <= 0 || radius > NEAR_MAX_RADIUS_KM) {
+    throw createGeoError(`radius must be between 0 and ${NEAR_MAX_RADIUS_KM} km`);
+  }
+
+  return {
+    point: { type: 'Point', coordinates: [lng, lat] },
+    maxDistance: radius * 1000
+  };
+};
+
+module.exports = { NEAR_DEFAULT_RADIUS_KM, NEAR_MAX_RADIUS_KM, isValidLatLng, parseNearParam };
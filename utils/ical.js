@@ -0,0 +1,92 @@
+// Build iCalendar (RFC 5545) documents for events and ticket feeds
+
+const PRODUCT_ID = '-//EventX//EventX API//EN';
+
+// Escape a TEXT value (backslash, semicolon, comma and newlines)
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20261104T183000Z
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// entry: { uid, start, end, summary, description, location, url, status, updatedAt }
+const buildEvent = (entry) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatIcsDate(entry.updatedAt || new Date())}`,
+    `DTSTART:${formatIcsDate(entry.start)}`,
+    `DTEND:${formatIcsDate(entry.end || entry.start)}`,
+    `SUMMARY:${escapeIcsText(entry.summary)}`
+  ];
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeIcsText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeIcsText(entry.location)}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.status) lines.push(`STATUS:${entry.status}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Full VCALENDAR document (CRLF line endings) for a list of entries
+const buildCalendar = ({ name, entries }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  }
+
+  entries.forEach(entry => lines.push(...buildEvent(entry)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Calendar entry for an event document
+const eventToIcsEntry = (event, { uid, summary, description, status } = {}) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    uid: uid || `event-${event._id}@eventx`,
+    start: event.getStartsAt(),
+    end: event.getEndsAt(),
+    summary: summary || event.title,
+    description: description || event.description,
+    location: event.location,
+    url: `${clientUrl}/event/${event._id}`,
+    status: status || (event.isActive ? 'CONFIRMED' : 'CANCELLED'),
+    updatedAt: event.updatedAt
+  };
+};
+
+module.exports = { buildCalendar, eventToIcsEntry, escapeIcsText, formatIcsDate };
@@ -0,0 +1,82 @@
+// Keyset (cursor) pagination helpers for GET /api/events
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const createCursorError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Query parameters that do not change which events are listed or their order
+const CURSOR_INDEPENDENT_PARAMS = ['cursor', 'page', 'limit', 'locale'];
+
+// Identifies the sort and filters a cursor was issued for, so it cannot be
+// replayed against a listing ordered by another field
+const getListingKey = (query, sortBy, sortOrder) => {
+  const filters = Object.keys(query)
+    .filter(key => !CURSOR_INDEPENDENT_PARAMS.includes(key) && key !== 'sortBy' && key !== 'sortOrder')
+    .sort()
+    .map(key => [key, query[key]]);
+  const filterHash = crypto.createHash('sha256').update(JSON.stringify(filters)).digest('base64url').slice(0, 16);
+  return `${sortBy}:${sortOrder}:${filterHash}`;
+};
+
+// Opaque cursor: sort value and _id of the last event of the previous page,
+// the listing it belongs to and the number of the page it opens
+const encodeCursor = (event, sortField, listingKey, page) => {
+  const value = event.get(sortField);
+  const payload = {
+    value: value instanceof Date ? value.toISOString() : value ?? null,
+    isDate: value instanceof Date,
+    id: event._id.toString(),
+    listing: listingKey,
+    page
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, listingKey) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  const { value, isDate, id, listing, page } = payload || {};
+  if (!mongoose.isValidObjectId(id) || !Number.isInteger(page) || page < 2) {
+    throw createCursorError('Invalid cursor');
+  }
+  if (listing !== listingKey) {
+    throw createCursorError('Cursor was issued for a different sort or filters, start again without it');
+  }
+
+  return {
+    value: isDate ? new Date(value) : value,
+    id: new mongoose.Types.ObjectId(id),
+    page
+  };
+};
+
+// Keyset condition: events sorted after the cursor by (sortField, _id).
+// Missing values sort first, as MongoDB sorts null below any value.
+const keysetCondition = (sortField, direction, cursor) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValue = { [sortField]: cursor.value, _id: { [after]: cursor.id } };
+
+  if (cursor.value === null) {
+    return direction === 1
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const beyond = { [sortField]: { [after]: cursor.value } };
+  if (direction === -1) {
+    // بالترتيب التنازلي تأتي القيم الفارغة في النهاية
+    return { $or: [beyond, sameValue, { [sortField]: null }] };
+  }
+  return { $or: [beyond, sameValue] };
+};
+
+module.exports = { getListingKey, encodeCursor, decodeCursor, keysetCondition };
@@ -0,0 +1,169 @@
+// Minimal RRULE (RFC 5545) support for event series:
+// FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL, BYDAY (weekly/daily), BYMONTHDAY (monthly).
+// Dates are stepped in UTC so the time of day of the first occurrence is kept.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// الحد الأقصى لعدد التكرارات المولدة لسلسلة واحدة. كل تكرار يحمل مقاعده داخل
+// نفس المعاملة، لذلك يبقى الحد صغيراً (سنة من التكرارات الأسبوعية)
+const MAX_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES, 10) || 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createRecurrenceError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// UNTIL as 20261231, 20261231T235959Z or an ISO date
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = match
+    ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 23), +(match[5] || 59), +(match[6] || 59)))
+    : new Date(value);
+
+  if (isNaN(date)) {
+    throw createRecurrenceError(`Invalid UNTIL value: ${value}`);
+  }
+  return date;
+};
+
+const parsePositiveInt = (key, value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createRecurrenceError(`${key} must be a positive integer`);
+  }
+  return number;
+};
+
+// Parse "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;COUNT=10" (an "RRULE:" prefix is allowed)
+const parseRRule = (rrule) => {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    throw createRecurrenceError('Recurrence rule is required');
+  }
+
+  const rule = { interval: 1 };
+  const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  parts.forEach(part => {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw createRecurrenceError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(key, value);
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInt(key, value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(day => {
+          const index = WEEKDAYS.indexOf(day);
+          if (index === -1) {
+            throw createRecurrenceError(`Invalid BYDAY value: ${day}`);
+          }
+          return index;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const number = Number(day);
+          if (!Number.isInteger(number) || number < 1 || number > 31) {
+            throw createRecurrenceError(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return number;
+        });
+        break;
+      default:
+        throw createRecurrenceError(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw createRecurrenceError('Recurrence rule must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw createRecurrenceError('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay && !['DAILY', 'WEEKLY'].includes(rule.freq)) {
+    throw createRecurrenceError('BYDAY is only supported with DAILY or WEEKLY');
+  }
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') {
+    throw createRecurrenceError('BYMONTHDAY is only supported with MONTHLY');
+  }
+
+  return rule;
+};
+
+// Candidate dates of the n-th period of the rule, in order
+const periodDates = (rule, start, period) => {
+  const step = period * rule.interval;
+  const timeOfDay = start.getTime() % DAY_MS;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(start.getTime() + step * DAY_MS)];
+    case 'WEEKLY': {
+      // الأسبوع يبدأ يوم الاثنين كما في RRULE الافتراضي
+      const weekStart = start.getTime() - timeOfDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      const days = rule.byDay || [start.getUTCDay()];
+      return days
+        .map(day => new Date(weekStart + ((day + 6) % 7) * DAY_MS + timeOfDay))
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY': {
+      const days = rule.byMonthDay || [start.getUTCDate()];
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + step;
+      return days
+        // أيام غير موجودة في الشهر (مثل 31 فبراير) يتم تخطيها
+        .filter(day => new Date(Date.UTC(year, month, day)).getUTCDate() === day)
+        .map(day => new Date(Date.UTC(year, month, day) + timeOfDay))
+        .sort((a, b) => a - b);
+    }
+    default: {
+      const date = new Date(Date.UTC(start.getUTCFullYear() + step, start.getUTCMonth(), start.getUTCDate()) + timeOfDay);
+      return date.getUTCDate() === start.getUTCDate() ? [date] : [];
+    }
+  }
+};
+
+// Expand a rule into occurrence dates starting at `start` (the first occurrence).
+// Stops at COUNT, UNTIL or MAX_OCCURRENCES, whichever comes first.
+const expandRecurrence = (rrule, start, { limit = MAX_OCCURRENCES } = {}) => {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const first = new Date(start);
+  if (isNaN(first)) {
+    throw createRecurrenceError('Invalid series start date');
+  }
+
+  const max = Math.min(rule.count || Infinity, limit);
+  const dates = [];
+
+  // الحد من عدد الفترات لتجنب حلقة لا نهائية مع قواعد لا تنتج تواريخ
+  for (let period = 0; dates.length < max && period < max * 31; period++) {
+    for (const date of periodDates(rule, first, period)) {
+      if (date < first) continue;
+      if (rule.until && date > rule.until) return dates;
+      if (rule.byDay && rule.freq === 'DAILY' && !rule.byDay.includes(date.getUTCDay())) continue;
+
+      dates.push(date);
+      if (dates.length >= max) break;
+    }
+  }
+
+  return dates;
+};
+
+module.exports = { parseRRule, expandRecurrence, MAX_OCCURRENCES };
@@ -0,0 +1,4 @@
+// Escape user input before using it inside a RegExp / $regex query
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
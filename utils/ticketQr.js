@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { isProduction } = require('./config');
+
+// Ticket QR payloads are signed with HMAC-SHA256 so they cannot be forged from a
+// ticket id alone. Format: ETX1.<keyId>.<base64url payload>.<base64url signature>
+//
+// Keys are rotatable through TICKET_SIGNING_KEYS="kid2:secret2,kid1:secret1":
+// the first key signs new tickets, every listed key is accepted when verifying.
+const QR_PREFIX = 'ETX1';
+
+// Without configured keys a random key is generated per process (development only):
+// QR codes issued before a restart then stop verifying
+let developmentKey;
+
+const getDevelopmentKey = () => {
+  if (!developmentKey) {
+    developmentKey = { id: 'dev', secret: crypto.randomBytes(32).toString('hex') };
+    console.warn('⚠️ TICKET_SIGNING_KEYS is not set; using a random development signing key');
+  }
+  return developmentKey;
+};
+
+const getSigningKeys = () => {
+  const keys = (process.env.TICKET_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.indexOf(':');
+      return { id: entry.slice(0, index), secret: entry.slice(index + 1) };
+    })
+    .filter(key => key.id && key.secret);
+
+  if (keys.length === 0 && process.env.TICKET_SIGNING_SECRET) {
+    keys.push({ id: 'default', secret: process.env.TICKET_SIGNING_SECRET });
+  }
+
+  if (keys.length === 0) {
+    if (isProduction()) {
+      throw new Error('TICKET_SIGNING_KEYS must be set in production');
+    }
+    keys.push(getDevelopmentKey());
+  }
+
+  return keys;
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Build the signed string encoded in the ticket QR
+const signTicketPayload = (ticket) => {
+  const [activeKey] = getSigningKeys();
+  const payload = Buffer.from(JSON.stringify({
+    t: ticket._id.toString(),
+    e: (ticket.event._id || ticket.event).toString(),
+    s: ticket.seatNumber,
+    u: (ticket.user._id || ticket.user).toString(),
+    iat: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+
+  const signedPart = `${QR_PREFIX}.${activeKey.id}.${payload}`;
+  return `${signedPart}.${hmac(activeKey.secret, signedPart)}`;
+};
+
+// Verify a scanned QR string. Never throws: returns { valid, reason } where reason
+// is one of 'malformed', 'unknown_key', 'bad_signature'
+const verifyTicketPayload = (qrData) => {
+  if (typeof qrData !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const parts = qrData.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== QR_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [prefix, keyId, payload, signature] = parts;
+  const key = getSigningKeys().find(k => k.id === keyId);
+  if (!key) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const expected = Buffer.from(hmac(key.secret, `${prefix}.${keyId}.${payload}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return {
+      valid: true,
+      keyId,
+      payload: {
+        ticketId: data.t,
+        eventId: data.e,
+        seatNumber: data.s,
+        userId: data.u,
+        issuedAt: new Date(data.iat * 1000)
+      }
+    };
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+};
+
+// Hash of a signed QR string, shipped to offline scanners instead of the signing key
+const hashTicketPayload = (qrData) => crypto.createHash('sha256').update(qrData.trim()).digest('hex');
+
+// Check-in manifests are signed with an Ed25519 key (MANIFEST_SIGNING_KEY, PKCS#8 PEM)
+// so scanner devices verify them with the public key only and cannot sign anything.
+// Without a configured key a random one is generated per process (development only).
+let manifestKey;
+
+const getManifestKey = () => {
+  if (manifestKey) return manifestKey;
+
+  let privateKey;
+  if (process.env.MANIFEST_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.MANIFEST_SIGNING_KEY.replace(/\\n/g, '\n'));
+  } else if (isProduction()) {
+    throw new Error('MANIFEST_SIGNING_KEY must be set in production');
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+    console.warn('⚠️ MANIFEST_SIGNING_KEY is not set; using a random development manifest key');
+  }
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('MANIFEST_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
+  manifestKey = {
+    id: crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 16),
+    privateKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+  return manifestKey;
+};
+
+// Sign a check-in manifest: the signature covers JSON.stringify(data)
+const signManifest = (data) => {
+  const { id, privateKey } = getManifestKey();
+  return {
+    keyId: id,
+    algorithm: 'Ed25519',
+    signature: crypto.sign(null, Buffer.from(JSON.stringify(data)), privateKey).toString('base64url')
+  };
+};
+
+// Public key that scanner devices use to verify manifests
+const getManifestPublicKey = () => {
+  const { id, publicKeyPem } = getManifestKey();
+  return { keyId: id, algorithm: 'Ed25519', publicKey: publicKeyPem };
+};
+
+// Sign a new QR for the ticket and store both the payload and the image on it
+const issueTicketQr = async (ticket) => {
+  ticket.qrPayload = signTicketPayload(ticket);
+  ticket.qrCode = await QRCode.toDataURL(ticket.qrPayload);
+  return ticket.qrCode;
+};
+
+module.exports = {
+  issueTicketQr,
+  signTicketPayload,
+  verifyTicketPayload,
+  hashTicketPayload,
+  signManifest,
+  getManifestPublicKey
+};
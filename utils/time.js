@@ -0,0 +1,149 @@
+// Timezone helpers built on Intl (no external date library).
+// An event is scheduled as a local calendar date + HH:MM in an IANA timezone;
+// these helpers turn that into a UTC instant and format instants for a locale.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || 'UTC';
+const DEFAULT_LOCALE = 'en-US';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of a timezone from UTC (in ms) at a given instant
+const getTimeZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// UTC instant of a wall-clock time in a timezone. Times skipped by a DST change
+// move forward by the size of the gap (02:30 -> 03:30); times repeated when
+// clocks go back resolve to the first occurrence. Works for zones on either
+// side of UTC because both candidate offsets (a day before and after) are tried.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+  // مرشح صالح إذا كان الفرق عند تلك اللحظة هو نفس الفرق المستخدم لحسابها
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => ({ offset, instant: wallClock - offset }))
+    .filter(({ offset, instant }) => getTimeZoneOffset(new Date(instant), timeZone) === offset)
+    .map(({ instant }) => instant);
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // الوقت غير موجود (قفزة التوقيت الصيفي): الفرق السابق يعطي وقتاً بعد القفزة
+  return new Date(wallClock - offsetBefore);
+};
+
+// An event date is a calendar day: "YYYY-MM-DD" (or midnight UTC). A date with a
+// time or offset (e.g. 2026-12-01T22:00-05:00) would land on another UTC day.
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}(T00:00(:00(\.0+)?)?Z)?$/;
+
+const isDateOnly = (value) => {
+  if (value instanceof Date) {
+    return !isNaN(value) && value.getTime() % DAY_MS === 0;
+  }
+  return typeof value === 'string' && DATE_ONLY_PATTERN.test(value) && !isNaN(new Date(value));
+};
+
+// Start instant of an event from its date (calendar day, read in UTC; see isDateOnly),
+// HH:MM time and timezone
+const getScheduledStart = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+
+  const day = new Date(date);
+  if (isNaN(day)) return null;
+
+  const [hour, minute] = /^\d{1,2}:\d{2}$/.test(time || '') ? time.split(':').map(Number) : [0, 0];
+
+  return zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+    hour,
+    minute
+  }, isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+};
+
+// Midnight (local to the timezone) of the day an instant falls on
+const getStartOfDay = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(instant).split('-').map(Number);
+
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Locale from ?locale= or the Accept-Language header, if the runtime supports it
+const resolveLocale = (req) => {
+  const requested = [
+    req.query && req.query.locale,
+    ...String(req.headers['accept-language'] || '')
+      .split(',')
+      .map(part => part.split(';')[0].trim())
+  ].filter(Boolean);
+
+  for (const locale of requested) {
+    try {
+      const [supported] = Intl.DateTimeFormat.supportedLocalesOf(locale);
+      if (supported) return supported;
+    } catch (error) {
+      // وسم لغة غير صالح: ننتقل إلى التالي
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+const formatInTimeZone = (instant, timeZone, locale = DEFAULT_LOCALE, options = {}) => {
+  if (!instant) return null;
+  return new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(instant);
+};
+
+// Long timezone name for a locale, e.g. "Eastern Standard Time"
+const getTimeZoneName = (instant, timeZone, locale = DEFAULT_LOCALE) => {
+  if (!instant) return null;
+  const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'long' })
+    .formatToParts(instant)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  isValidTimeZone,
+  isDateOnly,
+  zonedTimeToUtc,
+  getScheduledStart,
+  getStartOfDay,
+  resolveLocale,
+  formatInTimeZone,
+  getTimeZoneName
+};
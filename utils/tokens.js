@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { isProduction } = require('./config');
+
+// Access tokens are short-lived; long-lived sessions use rotating refresh tokens (see models/Session)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+let developmentSecret;
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (isProduction()) {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  // بدون سر ثابت تنتهي صلاحية الرموز عند إعادة تشغيل الخادم في بيئة التطوير
+  if (!developmentSecret) {
+    developmentSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET is not set; using a random development secret');
+  }
+  return developmentSecret;
+};
+
+// sid: الجلسة (الجهاز) التي صدر لها الرمز، tv: إصدار الرموز الحالي للمستخدم
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, sid: sessionId, tv: user.tokenVersion || 0 },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+module.exports = { generateAccessToken, verifyAccessToken, ACCESS_TOKEN_TTL };